@@ -0,0 +1,48 @@
+/*
+ * build-docs.js
+ *
+ * Collects the comment above each function in gunderscore.js into
+ * gunderscore-docs.js, which index.html loads with a <script> tag.
+ * The page cannot read gunderscore.js itself when it is opened from
+ * disk, since browsers do not let a page read files, but it can
+ * always load a script. Run it after changing any comments:
+ *
+ *     node build-docs.js
+ * --------------------------------------------------------------- */
+
+
+var fs   = require('fs'),
+    path = require('path');
+
+
+// A definition is a line such as `var each = g_.each = ...`,
+// `g_.right = ok;` or `gen.int = ...`. Its description is the run of
+// `//` comment lines directly above it.
+var parseDocs = function(src) {
+    var docs    = {},
+        comment = [];
+
+    src.split('\n').forEach(function(line) {
+        var def = /^\s*(?:var\s+\w+\s*=\s*)?(g_|gen)\.(\w+)\s*=/.exec(line);
+
+        if ( /^\s*\/\//.test(line) ) {
+            comment.push( line.replace(/^\s*\/\/ ?/, '') );
+            return;
+        }
+        if (def && comment.length) {
+            docs[(def[1] === 'gen' ? 'gen.' : '') + def[2]] = comment.join('\n');
+        }
+        comment = [];
+    });
+
+    return docs;
+};
+
+
+var src  = fs.readFileSync( path.join(__dirname, 'gunderscore.js'), 'utf8' ),
+    docs = parseDocs(src);
+
+fs.writeFileSync( path.join(__dirname, 'gunderscore-docs.js'),
+    '// Generated by build-docs.js from the comments in gunderscore.js.\n' +
+    '// Do not edit it by hand; run `node build-docs.js` instead.\n' +
+    'var gunderscoreDocs = ' + JSON.stringify(docs, null, 4) + ';\n' );
@@ -0,0 +1,107 @@
+/*
+ * build-esm.js
+ *
+ * Writes gunderscore.mjs, the ES module build, from gunderscore.js.
+ * The module is the body of the library with the wrapper taken off:
+ * each `var each = g_.each = ...` becomes a plain `var each = ...`
+ * and an export of its own, so a bundler can leave out whatever is
+ * not imported, and nothing is put on the global object. Run it
+ * after changing gunderscore.js:
+ *
+ *     node build-esm.js
+ * --------------------------------------------------------------- */
+
+
+var fs   = require('fs'),
+    path = require('path');
+
+
+// `cut` removes the line matching `pattern`, along with the run of
+// `//` comment lines directly above it, and returns what is left.
+// It throws if there is no such line, so that a change to
+// gunderscore.js cannot quietly produce a broken module.
+var cut = function(lines, pattern) {
+    var i     = lines.findIndex(function(line) { return pattern.test(line); }),
+        start = i;
+
+    if (i === -1) throw new Error('build-esm: no line matches ' + pattern);
+    while ( start > 0 && /^\s*\/\//.test(lines[start - 1]) ) start--;
+
+    return lines.slice(0, start).concat( lines.slice(i + 1) );
+};
+
+
+// `toModule` takes the source of gunderscore.js and returns the source
+// of gunderscore.mjs.
+var toModule = function(src) {
+    var lines   = src.split('\n'),
+        header  = lines.slice( 0, lines.findIndex(function(line) { return /^ \* -+ \*\/$/.test(line); }) ),
+        open    = lines.findIndex(function(line) { return /^\}\)\(.*function\(root\) \{$/.test(line); }),
+        close   = lines.lastIndexOf('    return g_;'),
+        names   = [],
+        body;
+
+    if (open === -1 || close === -1) throw new Error('build-esm: cannot find the factory in gunderscore.js');
+
+    body = lines.slice(open + 1, close);
+    body = cut(body, /^\s*'use strict';$/);
+    body = cut(body, /^\s*var g_ = \{\};$/);
+    body = cut(body, /^\s*var previousG_ = /);
+
+    body = body.map(function(line) {
+        var def   = /^(\s*)var (\w+)\s*=\s*g_\.(\w+)\s*=\s*(.*)$/.exec(line),
+            alias = /^(\s*)g_\.(\w+)\s*=\s*(.*)$/.exec(line);
+
+        if (def) {
+            names.push({ local: def[2], name: def[3] });
+            return def[1] + 'var ' + def[2] + ' = ' + def[4];
+        }
+        // `g_.right = ok;` is an alias; it becomes `var right = ok;`.
+        if (alias) {
+            names.push({ local: alias[2], name: alias[2] });
+            return alias[1] + 'var ' + alias[2] + ' = ' + alias[3];
+        }
+        return line;
+    });
+
+    // The body was indented to sit inside the wrapper.
+    body = body.map(function(line) {
+        return line.replace(/^ {4}/, '');
+    });
+
+    return header.join('\n') + '\n' +
+        ' *\n' +
+        ' * This is the ES module build. It is generated by build-esm.js\n' +
+        ' * from gunderscore.js; do not edit it by hand.\n' +
+        ' * --------------------------------------------------------------- */\n' +
+        '\n\n' +
+        '// A module never puts `g_` on the global object, so there is no\n' +
+        '// earlier `g_` for `noConflict` to give back.\n' +
+        'var root,\n' +
+        '    previousG_;\n' +
+        '\n\n' +
+        body.join('\n').replace(/\n{4,}/g, '\n\n\n').replace(/^\n+|\n+$/g, '') + '\n' +
+        '\n\n' +
+        '// `g_` is the whole library as one namespace. It is the default\n' +
+        '// export, and what `noConflict` returns.\n' +
+        'var g_ = {\n' +
+        names.map(function(def) {
+            return '    ' + def.name + ': ' + def.local;
+        }).join(',\n') + '\n' +
+        '};\n' +
+        '\n\n' +
+        'export default g_;\n' +
+        'export {\n' +
+        names.map(function(def) {
+            // `window` is exported as `slidingWindow`, its local name,
+            // since as an import it would hide the browser's global.
+            if (def.name === 'window' || def.name === def.local) return '    ' + def.local;
+            return '    ' + def.local + ' as ' + def.name;
+        }).join(',\n') + '\n' +
+        '};\n';
+};
+
+
+var src = fs.readFileSync( path.join(__dirname, 'gunderscore.js'), 'utf8' );
+
+fs.writeFileSync( path.join(__dirname, 'gunderscore.mjs'), toModule(src) );
@@ -0,0 +1,173 @@
+// Generated by build-docs.js from the comments in gunderscore.js.
+// Do not edit it by hand; run `node build-docs.js` instead.
+var gunderscoreDocs = {
+    "each": "`each` is an immutable iterator. It is the quintessential\nexample of a functional style. Note that it uses a `for` loop.\nFunctional programming does not eliminate imperative concepts;\nrather, it abstracts them away with functions. Ideally, any\nloss in performance can be regained by a compressor.\n\nIf `func` returns `breaker`, iteration stops early. This is\nprivate to the library; callers cannot break out of `each`.",
+    "map": "`map` calls a function on every value in a collection,\nreturning an array of results. Notice how it uses `each`.\nFunctional programming builds bigger abstractions from\nsmaller abstractions.\n\nIf `coll` is a lazy sequence, `map` returns another lazy\nsequence. See `lazy`. Called with only a function, `map`\nreturns a transducer. See `transduce`.",
+    "reduce": "`reduce` returns a single result from a list of values. Note\nthat `reduce` is recursive. It calls `func` for each item in\n`coll` and assigns that as the new value of `seed`. If `func`\ndoes not reassign seed--try passing in `identity`--then\n`reduce` simply returns `seed`. See `legacyReduce`.\n\nIf `func` returns a value wrapped with `reduced`, `reduce`\nstops and returns the unwrapped value. See `transduce`.",
+    "filter": "`filter` calls a predicate function on each item in a\ncollection, returning a collection of predicates. Like `map`,\nit is lazy when `coll` is a lazy sequence and returns a\ntransducer when called with only a predicate.",
+    "find": "`find` takes a collection and a predicate and returns the\nfirst element for which the predicate returns true. It stops\nat the first match, so it also works on infinite sequences.",
+    "where": "`where` takes an array of objects and returns all of the\nobjects that match the criteria. See `matcher` for what the\ncriteria may contain. Plain values are compared with `isEqual`,\nso a criterion can be an array or a nested object.",
+    "matcher": "`matcher` compiles a query into a predicate, once, so that it\ncan be handed to `filter`, `find`, `not` or anything else that\ntakes one. A query is an object whose keys are field paths (see\n`get`) and whose values are conditions:\n\nvar adult = g_.matcher({\n    'profile.age': { $gte: 18 },\n    name:          /^[A-Z]/,\n    role:          { $in: ['admin', 'editor'] },\n    deleted:       { $exists: false }\n});\ng_.find(users, adult);\n\nThe field operators are `$eq`, `$ne`, `$gt`, `$gte`, `$lt`,\n`$lte`, `$in`, `$nin`, `$exists`, `$regex` (with `$options`)\nand `$not`. `$and`, `$or` and `$not` also work at the top level\nand take whole queries.",
+    "select": "`select` takes an array of objects and projects each one.\n`fields` may be:\n\n  - a path, which plucks that value from each object.\n  - an array of paths, which copies those fields, keeping\n    their nesting: ['name', 'address.city'] gives\n    `{ name: ..., address: { city: ... } }`.\n  - an object mapping new names to paths, or to functions of\n    the whole object: `{ city: 'address.city' }`.",
+    "invert": "`invert` takes an associative array and switches the keys and\nthe values. If two keys share a value, the last one wins; see\n`invertBy` to keep them all.",
+    "not": "`not` is the opposite of filter. This is a nice example of\nfunctional programming. `not` relies on `filter` which relies\non `each`. Abstraction upon abstraction. The code is dense,\nbut elegant.",
+    "remove": "`remove` is `not` under the name transducer libraries use for\nit. Called with only a predicate, it returns a transducer.",
+    "all": "`all` takes a collection and a predicate and returns true if\nall of the elements return true on the predicate. It stops at\nthe first element that fails.",
+    "any": "`any` takes a collection and a predicate and returns true if \nany of the elements return true on the predicate. It stops at\nthe first element that passes.",
+    "properSubset": "`properSubset`, while not particularly useful, highlights the\npower of abstraction. Now that `any` and `all` are functions,\n`properSubset` is a one-liner.",
+    "tail": "`tail` returns a new array with the first element from the\ninput array removed.",
+    "first": "`first` selects the first item in a collection. It asks `each`\nfor one item and then breaks, so it works the same way for\nevery kind of collection.",
+    "last": "`last` selects the last item in a collection.",
+    "initial": "`initial` returns every item but the last. It is the mirror of\n`tail`.",
+    "takeRight": "`takeRight` and `dropRight` are `take` and `drop` from the end\nof the collection.",
+    "max": "`max` returns the largest number in an array. `pred` decides\nwhat 'largest' means: it is asked whether each item beats the\nbest so far. It defaults to `isGreaterThan`.\n\ng_.max(['pear', 'fig', 'banana'], function(x, y) {\n    return x.length > y.length;\n});\n=> 'banana'",
+    "min": "`min` returns the smallest number in an array. `pred` is as for\n`max`, but defaults to 'is less than'.",
+    "maxBy": "`maxBy` returns the item with the largest key, as for `groupBy`:\n\ng_.maxBy(people, 'age');\n=> the oldest person\n\nItems whose key is missing are passed over. The first of any\nthat tie wins, and an empty collection gives `undefined`.",
+    "zip": "`zip` combines multiple lists into arrays with a shared index.\n`zip` uses a `for` loop rather than `each` because there is no\ngood way to iterate over each list in `args` and then each\nitem in each array in `args` with the correct index (try it).\n\nThis is a good example of a function that, while not\ntechnically pure, conceptually is. Functions are the unit of\nabstraction. So long as mutations do not 'leak out', it does\nnot matter.\n\n@Fogus: 'As long as no one knows you've mutated a variable\nthen does it matter? I'd say no.'\n\nThe result is as long as the shortest list; see `zipLongest`\nto pad the shorter ones instead.",
+    "zipLongest": "`zipLongest` is `zip` with a result as long as the longest\nlist. Shorter lists are padded with `fill`.",
+    "zipWith": "`zipWith` zips the lists and then calls `func` with each group\nof items, rather than returning the group.\n\ng_.zipWith(function(a, b) { return a + b; }, [1, 2], [10, 20]);\n=> [11, 22]",
+    "unzip": "`unzip` is the inverse of `zip`: it takes a list of groups and\nreturns a list of lists.",
+    "zipObject": "`zipObject` builds an object from a list of keys and a list of\nvalues.",
+    "interleave": "`interleave` takes the first item of each list, then the second\nof each, and so on, stopping with the shortest list.",
+    "flatten": "`flatten` pulls the items of nested arrays up into one array,\n`depth` levels deep. By default it flattens all the way down.",
+    "chunk": "`chunk` splits a collection into arrays of `size` items. The\nlast chunk holds whatever is left over. There are no chunks of\nfewer than 1 item, so a smaller `size` throws a RangeError.",
+    "window": "`window` returns every run of `size` consecutive items, moving\n`step` items (default 1) between runs. Unlike `chunk`, runs\noverlap when `step` is smaller than `size`, and a short run at\nthe end is left out. As with `chunk`, a `size` below 1 throws\na RangeError.\n\ng_.window([1, 2, 3, 4], 2);\n=> [[1, 2], [2, 3], [3, 4]]\n\nThe local name is not `window`, which would hide the browser's\nglobal object from the rest of the library.",
+    "partition": "`partition` splits a collection in two: the items that pass\n`pred` and the items that fail it.\n\ng_.partition([1, 2, 3, 4], isOdd);\n=> [[1, 3], [2, 4]]",
+    "groupBy": "`groupBy` collects the items of `coll` into an object of\narrays, by key:\n\ng_.groupBy(['one', 'two', 'three'], 'length');\n=> { 3: ['one', 'two'], 5: ['three'] }",
+    "countBy": "`countBy` is `groupBy` counting the items instead of keeping\nthem, and `frequencies` counts the items themselves:\n\ng_.frequencies(['a', 'b', 'a']);\n=> { a: 2, b: 1 }",
+    "indexBy": "`indexBy` is `groupBy` for keys that are unique, such as ids:\neach key maps to one item, the last with that key.",
+    "aggregate": "`aggregate` summarizes records, by group. `options.by` is the\nkey to group by, as for `groupBy`; without one, the whole\ncollection is summarized. `options.fields` names the summaries\nto make, each of which is one of:\n\n  - the name of an operation--'count', 'sum', 'mean', 'median',\n    'stddev', 'min' or 'max'--applied to the items themselves.\n  - `{ op, of }`: an operation applied to the key `of` of each\n    item. Items where it is missing are left out.\n  - `{ reduce, seed, of }`: the values reduced with a function\n    of your own.\n  - a function, called with the group's items.\n\ng_.aggregate(orders, {\n    by: 'customer.country',\n    fields: {\n        orders:  'count',\n        revenue: { op: 'sum', of: 'total' },\n        biggest: { op: 'max', of: 'total' },\n        items:   { reduce: function(n, o) { return n + o.length; }, seed: 0, of: 'lines' }\n    }\n});\n=> { FR: { orders: 2, revenue: 70, biggest: 50, items: 5 }, ... }",
+    "pipeline": "`pipeline` executes a list of functions in order, with each\nfunction working against a returnd values, not a mutable\nreference. See `g_`.",
+    "step": "`step` names a function for the instrumented pipelines below.\nThe function still works anywhere else, `pipeline` included.\nWithout a name, a step is known by its function's own name, or\nfailing that as 'step ' and its index.\n\ng_.pipeline.trace(users, g_.step('admins', onlyAdmins), g_.step('emails', toEmails));",
+    "lazy": "`lazy` wraps a collection in a sequence. Nothing is copied;\nthe collection is read as the sequence is walked. Like `each`,\nit yields the values of keyed collections. A generator can\nonly be walked once, so neither can a sequence built on one.",
+    "iterate": "`iterate` returns the infinite sequence `seed`, `func(seed)`,\n`func(func(seed))` and so on.",
+    "take": "`take` returns the first `n` items of a collection. On a\nsequence the result is another sequence, and it stops pulling\nfrom its source after the `n`th item. This is how an infinite\nsequence is made finite:\n\ng_.toArray( g_.take(g_.filter(g_.range(2, Infinity), isPrime), 10) );\n=> [2, 3, 5, 7, 11, 13, 17, 19, 23, 29]\n\nCalled with only a count, `take` returns a transducer.",
+    "drop": "`drop` returns every item after the first `n`.",
+    "takeWhile": "`takeWhile` returns items for as long as `pred` holds. Once it\nfails, the sequence is over, even if later items would pass.",
+    "dropWhile": "`dropWhile` skips items for as long as `pred` holds and returns\nthe rest, starting with the first item that fails.",
+    "transduce": "`transduce` reduces `coll` with `rf` after transforming `rf`\nwith `xform`. For example:\n\nvar xform = g_.compose( g_.filter(isOdd), g_.map(square), g_.take(2) );\ng_.transduce(xform, function(a, b) { return a + b; }, 0, [1, 2, 3, 4, 5]);\n=> 10\n\nNote that composed transducers apply left to right, the\nreverse of `compose` on ordinary functions, because each one\nwraps the reducing function of the one after it.",
+    "into": "`into` pours `from` through `xform` and into a copy of `to`,\nwhich may be an array or an object. Items poured into an\nobject must be `[key, value]` pairs. `xform` is optional.\n\n`to` may also be a persistent vector or hash map, which is\nfilled through a transient.",
+    "dedupe": "`dedupe` drops items equal to the item just before them. Called\nwith no arguments, it returns a transducer.",
+    "partitionBy": "`partitionBy` splits a collection into arrays of consecutive\nitems for which `func` returns the same value:\n\ng_.partitionBy([1, 3, 2, 4, 5], isOdd);\n=> [[1, 3], [2, 4], [5]]\n\nUnlike `groupBy`, items with the same value that are not next\nto each other stay apart. `func` may also be a key, as for\n`groupBy`. Called with only a function, it returns a transducer.",
+    "__": "`__` is the placeholder. Passed to a curried or partially\napplied function, it holds a position open to be filled by a\nlater call:\n\nvar half = g_.curry(divide)(g_.__, 2);\nhalf(10);\n=> 5",
+    "curryN": "`curryN` curries `func` as though it took `n` arguments. This is\nfor variadic functions, whose `length` does not say how many\narguments they need.",
+    "curry": "`curry` takes a function `func` and allows for partial or\nfull application of its arguments. The curried function keeps\ncollecting arguments, across as many calls as it takes, until\nit has `func.length` of them and then calls `func`. These are\nall the same:\n\nvar add3 = g_.curry(function(a, b, c) { return a + b + c; });\nadd3(1)(2)(3);\nadd3(1, 2)(3);\nadd3(1)(2, 3);\nadd3(1, 2, 3);\n=> 6\n\nSee also `legacyCurry`.",
+    "partial": "`partial` fixes the first arguments of `func`. Placeholders\namong them are filled by the arguments of the eventual call.",
+    "partialRight": "`partialRight` fixes the last arguments of `func`.",
+    "flip": "`flip` returns a function that calls `func` with its first two\narguments swapped.",
+    "uncurry": "`uncurry` is the reverse of `curry`. It takes a function that\naccepts one argument at a time, `f(a)(b)(c)`, and returns one\nthat accepts `n` at once, `f(a, b, c)`.",
+    "compose": "`compose` returns a function that applies the functions it is\ngiven from right to left. `compose(f, g)(x)` is `f(g(x))`.\nWhere `pipeline` runs functions against a value now, `compose`\nbuilds a new function to run later. With no functions at all\nit returns `identity`, as does `flow`.",
+    "flow": "`flow` is `compose` in reading order. `flow(f, g)(x)` is\n`g(f(x))`, the order `pipeline` uses.",
+    "juxt": "`juxt` returns a function that calls every function it is given\nwith the same arguments and returns their results in an array.\n\ng_.juxt(g_.min, g_.max)([3, 1, 2]);\n=> [1, 3]",
+    "fnull": "`fnull` guards `func` against missing arguments. Any argument\nthat does not `exist` is replaced by the default in the same\nposition. This is @Fogus's.",
+    "complement": "`complement` returns a predicate that returns the opposite of\n`pred`.",
+    "tap": "`tap` returns a function that calls `func` for its side effect\nand returns its argument unchanged. It is meant for looking\ninto a pipeline:\n\ng_.pipeline(coll, step1, g_.tap(console.log), step2);",
+    "before": "`before` returns a function that calls `func` at most `n - 1`\ntimes. After that it keeps returning the last result.",
+    "once": "`once` is `before(2, func)`: `func` runs on the first call, and\nevery later call returns that first result.",
+    "after": "`after` returns a function that does nothing until it has been\ncalled `n` times, and calls `func` from then on.",
+    "nAry": "`nAry` returns a function that passes only its first `n`\narguments on to `func`. It guards against callbacks that\naccept more arguments than you meant to give them:\n\ng_.map(['1', '2', '3'], parseInt);\n=> [1, NaN, NaN]\ng_.map(['1', '2', '3'], g_.unary(parseInt));\n=> [1, 2, 3]",
+    "converge": "`converge` calls each of `funcs` with the same arguments and\npasses their results to `combine`.\n\nvar mean = g_.converge(divide, [sum, g_.len]);",
+    "debounce": "`debounce` returns a function that waits until it has not been\ncalled for `wait` milliseconds and then calls `func` with the\nlatest arguments. Options:\n\n  - leading:   call `func` on the first call of a burst too.\n               Defaults to false.\n  - trailing:  call `func` when the burst ends. Defaults to\n               true.\n  - scheduler: see `defaultScheduler`.\n\nThe returned function has `cancel`, which drops a pending call,\nand `flush`, which makes it now.",
+    "throttle": "`throttle` returns a function that calls `func` at most once\nevery `wait` milliseconds, no matter how often it is called.\nIt takes the same options as `debounce`, except that `leading`\ndefaults to true.",
+    "pipelineAsync": "`pipelineAsync` is `pipeline` for steps that may return\nPromises. Each step gets the settled value of the one before.",
+    "mapAsync": "`mapAsync` calls `func`, which may return a Promise, on every\nitem, and resolves to the results in the order of `coll`, no\nmatter which finish first. `options.concurrency` caps how many\ncalls are waiting at once; by default there is no cap. The\nfirst rejection rejects the whole, and no further calls start.",
+    "eachAsync": "`eachAsync` is `mapAsync` for side effects. It resolves to\n`undefined` once every call has.",
+    "filterAsync": "`filterAsync` keeps the items for which `pred` resolves to a\ntruthy value, in their original order. `coll` is walked only\nonce, so it may be a generator.",
+    "reduceAsync": "`reduceAsync` is `reduce` for a `func` that may return a\nPromise. Unlike `mapAsync`, it must run one call at a time,\nsince each needs the result of the last.",
+    "retry": "`retry` returns a function that calls `func` and, if it throws\nor rejects, calls it again, waiting longer each time. Options:\n\n  - retries:     how many times to retry. Defaults to 3.\n  - delay:       milliseconds before the first retry. Defaults\n                 to 100.\n  - factor:      what each wait is multiplied by for the next.\n                 Defaults to 2.\n  - maxDelay:    the longest wait. Defaults to `Infinity`.\n  - shouldRetry: called with the error and the attempt number;\n                 return false to give up early.\n  - scheduler:   see `debounce`.\n\nThe returned Promise rejects with the last error.",
+    "timeout": "`timeout` returns a function that calls `func` and rejects if\nit has not settled within `ms` milliseconds. The error's `name`\nis 'TimeoutError'. `options.scheduler` is as for `debounce`.",
+    "settleAll": "`settleAll` waits for every Promise (or plain value) in `coll`\nand resolves to a report of each, in order, instead of\nrejecting on the first failure:\n\n=> [{ status: 'fulfilled', value: 1 },\n    { status: 'rejected',  reason: err }]",
+    "toPath": "`toPath` turns a string path into an array of keys. Bracketed\nnumbers become numeric keys; everything else is a string.\nArrays are passed through.\n\ng_.toPath('a.b[0].c');\n=> ['a', 'b', 0, 'c']",
+    "get": "`get` returns the value at `path` in `obj`, or `dflt` if there\nis none. It never throws on a missing level.",
+    "hasPath": "`hasPath` is `has` for paths. Every key along the way must be\nan own property.",
+    "updateIn": "`updateIn` returns a copy of `obj` with the value at `path`\nreplaced by `func` of that value.",
+    "setIn": "`setIn` returns a copy of `obj` with `val` at `path`.",
+    "deleteIn": "`deleteIn` returns a copy of `obj` without the value at `path`.\nAn array loses the element and closes the gap. If there is\nnothing at `path`, `obj` itself is returned.",
+    "lens": "`lens` makes a lens from a getter, `get(obj)`, and a setter,\n`set(val, obj)`, which must return a new object rather than\nchange `obj`.",
+    "lensCompose": "`lensCompose` focuses through each lens in turn, outermost\nfirst. `lensCompose(lensProp('a'), lensIndex(0))` is the same\nplace as `lensPath('a[0]')`.",
+    "view": "`view` reads the place `l` focuses on.",
+    "set": "`set` returns a copy of `obj` with `val` in the place `l`\nfocuses on.",
+    "over": "`over` returns a copy of `obj` with `func` applied to the place\n`l` focuses on.",
+    "vector": "`vector` returns a persistent vector of the values in `coll`,\nor an empty one.",
+    "hashMap": "`hashMap` returns a persistent map with the entries of `coll`,\nwhich may be a plain object, a `Map`, another hash map or an\narray of `[key, value]` pairs.",
+    "assoc": "`assoc` returns a copy of `coll` with `val` at `key`. On a\npersistent collection the copy shares structure; on an array or\nobject it is `setIn` with a one-key path.",
+    "dissoc": "`dissoc` returns a copy of `coll` without `key`.",
+    "conj": "`conj` returns a copy of `coll` with `val` added: at the end of\na vector or array, or, for a hash map, as a `[key, value]` pair.",
+    "update": "`update` returns a copy of `coll` with the value at `key`\nreplaced by `func` of that value.",
+    "transient": "`transient` and `persistent` convert between the two forms.\nA transient supports `get`, `has`, `assoc`, `conj` (vectors)\nand `dissoc` (maps), each of which changes it in place.",
+    "withMutations": "`withMutations` hands a transient copy of `coll` to `func` and\nreturns the persistent result. The mutation never leaks out:\n\ng_.withMutations(g_.vector(), function(v) {\n    g_.times(1000, function(i) { v.conj(i); });\n});",
+    "identity": "`identity` returns the value it is passed. This abstraction is\nsurprisingly important because, since functional programming\nfocuses on functions rather than values (for configuration),\nwe often need to pass in `identity`.",
+    "times": "`times` executes `func` `n` times.",
+    "constant": "`constant` is configurable, higher-order that returns a function\nthat always returns the input.",
+    "range": "`range` returns an array of size `stop`, with optional\n`start` and `step` parameters. Called with no arguments, or\nwith a `stop` of `Infinity`, it returns an unbounded lazy\nsequence instead, since no array could hold the result.",
+    "memoize": "`memoize` builds a cache of function calls and return values,\nand only executes `func` if it has not done so previously. Any\nresult is cached, including falsy ones. Options:\n\n  - resolver:  computes the cache key from the arguments.\n               Defaults to `argsKey`.\n  - maxSize:   the most entries to keep. When the cache is\n               full, the least recently used entry goes.\n  - ttl:       how many milliseconds an entry stays fresh.\n  - scheduler: supplies `now` for `ttl`. See `debounce`.\n\nThe memoized function has a `cache` with `has` and `delete`,\nwhich take the same arguments as the function, `clear`, `size`\nand `stats`, which returns counts of hits, misses and\nevictions. `has` and `delete` pass their own `this` to the\nresolver, as the function does, so for a resolver that reads\n`this`, call them as `fn.cache.has.call(obj, ...)`.",
+    "nth": "`nth` returns the element located within a collection at the\nindex provided. @Fogus says, 'While array indexing is a core\nbehavior in JavaScript, there is no way to grab hold of the\nbehavior and use it as needed without placing it into a\nfunction.' But now that it is a function, we can do this:\n\n`function second(coll) { return nth(arr, 1); };`å\n\nThis is powerful because, as @Fogus says, `second` allows us\nto 'appropriate the correct behavior of `nth` for a different\nbut related use case.'",
+    "toArray": "`toArray` turns array-like objects (`arguments`, strings)\ninto arrays. Any other collection becomes an array of its\nvalues. It also realizes a lazy sequence, so never call it on\none that is infinite.",
+    "toHexidecimal": "`toHexidecimal` returns a hexidecimal number, based on the\nnumber `n` applied.",
+    "comparator": "`comparator` maps a predicate function to comparator values,\n-1, 0, and 1. As a use case, we can now write the following,\nsince `sort` take an optional comparator argument:\n\n[2, 3, -1, -6, 0, -108, 42].sort(comparator(isGreaterThan));\n=> [-108, -6, -1, 0, 2, 3, 42]\n\nWhen `pred(x, y)` holds, `x` sorts after `y`. `pred` is asked\nboth ways round. If it says the same thing both times--neither\nis greater, or with `<=` each is--the two are tied and the\ncomparator returns 0.",
+    "comparing": "`comparing` builds a comparator from a key: a property name or\npath, a function of the item, or an object with some options:\n\n  - by:      the key. Defaults to the item itself.\n  - order:   'asc' (the default) or 'desc'.\n  - nulls:   'last' (the default) or 'first'. `null` and\n             `undefined` keys go there whatever the order.\n  - natural: compare strings with runs of digits as numbers.\n  - locale:  compare strings with `Intl.Collator`, in this locale,\n             or `true` for the default one.\n  - compare: compare the keys with this comparator instead.\n\nusers.sort( g_.comparing({ by: 'name', locale: 'de' }) );",
+    "thenComparing": "`thenComparing` returns a comparator that uses `first`, and each\nof the rest in turn to break its ties. Each is a comparator or\nanything `comparing` takes:\n\npeople.sort( g_.thenComparing(g_.comparing('last'), 'first') );",
+    "sortBy": "`sortBy` returns a sorted copy of `coll`. Each further argument\nis a key, as for `comparing`; later keys break ties in earlier\nones, and items still tied keep their order. That last part is\nwhy it does not simply call `sort` with the comparator: engines\nhave not always sorted stably.\n\ng_.sortBy(files, { by: 'dir' }, { by: 'name', natural: true },\n                 { by: 'size', order: 'desc', nulls: 'first' });",
+    "keys": "`keys` takes an associative array and returns array of keys.\nThey are its own enumerable keys, like `Object.keys`, so a\nproperty set on `Object.prototype` does not turn up in every\nobject. Pass `{ allKeys: true }` to include inherited ones, as\na bare `for...in` does.",
+    "vals": "`values` takes an associative array and returns array of \nvalues. It takes the same options as `keys`.",
+    "toPairs": "`toPairs` takes an associative array--or a Map--and returns an\narray of [key, value] pairs. `fromPairs` goes the other way.\n\ng_.toPairs({ a: 1, b: 2 });\n=> [['a', 1], ['b', 2]]",
+    "filterObject": "`filterObject` is `filter` for associative arrays: it returns a\nnew object with the properties for which `pred(value, key)` is\ntruthy.",
+    "pick": "`pick` returns a new object with only the given properties.\n`omit` returns one with everything else.\n\ng_.pick({ a: 1, b: 2, c: 3 }, 'a', 'c');  // => { a: 1, c: 3 }\ng_.omit({ a: 1, b: 2, c: 3 }, ['a']);     // => { b: 2, c: 3 }\ng_.pick({ a: 1, b: 2, c: 3 }, isOdd);     // => { a: 1, c: 3 }",
+    "mapValues": "`mapValues` returns a new object with the same keys and the\nvalues replaced by `func(value, key)`. `mapKeys` keeps the\nvalues and replaces the keys.\n\ng_.mapValues({ a: 1, b: 2 }, double);  // => { a: 2, b: 4 }",
+    "invertBy": "`invertBy` is `invert` for values that are shared: each value\n(or `func(value)`) maps to an array of all the keys that had it.\n\ng_.invertBy({ a: 1, b: 2, c: 1 });\n=> { 1: ['a', 'c'], 2: ['b'] }",
+    "defaults": "`defaults` returns a new object with the properties of `obj`,\nand, for any that are `undefined`, the first value among\n`sources` that is not. Unlike `mixin`, earlier objects win, and\nonly own properties are copied, never inherited ones.\n\ng_.defaults({ a: 1 }, { a: 2, b: 2 }, { c: 3 });\n=> { a: 1, b: 2, c: 3 }",
+    "clone": "`clone` creates a shallow copy of a value without mutating the\ninput. Copies keep their prototype, and primitives are their\nown clones.",
+    "cloneDeep": "`cloneDeep` copies a value and everything in it: arrays, plain\nobjects, class instances, Dates, RegExps, Maps, Sets and typed\narrays. Cycles and shared references are preserved. Functions\nare not copied.",
+    "cloneWith": "`cloneWith` is `cloneDeep` with a `customizer`, which is called\nwith each value (and its key, below the top level) before it\nis copied. If it returns anything other than `undefined`, that\nis used as the copy.",
+    "mixin": "`mixin` combines the properties of the objects applied without\nmutating them. It returns a new object.",
+    "mergeWith": "`mergeWith` is `mergeDeep` with a say in conflicts. `strategy`\nis either a function, used as `conflict` below, or an object:\n\n  - arrays:   what to do when both sides have an array:\n              'replace' (the default) takes the later one,\n              'concat' joins them and 'union' adds the later\n              one's items that the earlier lacks. It may also be\n              a function of (earlier, later, path).\n  - unionBy:  for 'union', a key, path or function that says\n              when two items are the same. Those items are\n              merged. By default, items are compared whole.\n  - conflict: called as (earlier, later, key, path) whenever two\n              values meet that are not both plain objects or both\n              arrays: two scalars, or a scalar and an object, or\n              an array and an object. It returns the merged value,\n              or `undefined` to take the later one.\n\ng_.mergeWith({ arrays: 'union', unionBy: 'id' },\n    { users: [{ id: 1, name: 'ann' }] },\n    { users: [{ id: 1, admin: true }, { id: 2, name: 'bo' }] });\n=> { users: [{ id: 1, name: 'ann', admin: true }, { id: 2, name: 'bo' }] }",
+    "mergeDeep": "`mergeDeep` combines objects like `mixin`, but where two of them\nhave plain objects under the same key it combines those too,\nrather than letting the later one replace the whole thing. Later\narrays and other values still win, and `undefined` never\noverwrites anything. Nothing passed in is changed, and\n'__proto__' keys are left out.\n\ng_.mergeDeep({ db: { host: 'localhost', port: 5432 } },\n             { db: { host: 'db.example.com' } });\n=> { db: { host: 'db.example.com', port: 5432 } }",
+    "has": "`has` is a convenience wrapper for `hasOwnProperty`. Now the\nbuilt-in behavior of `has` can be passed around as a first-\nclass function.\n\nIt borrows `hasOwnProperty` from `Object.prototype` rather than\ncalling it on `obj`, which may not inherit it (see\n`Object.create(null)`) or may have overridden it.\n\nPersistent collections answer for themselves.",
+    "exists": "`exists` is a boolean function that returns whether an\nelement exists (is neither `undefined` nor `null`). Loose\nequality makes this a one-liner.",
+    "isTruthy": "`isTruthy` returns true if the value exists and is not false.\nNote that it does not return truthy in the JavaScript sense of\nof the word (e.g. 0 will return true).",
+    "isFunction": "The type predicates below test a value's tag or `typeof`\nrather than using `instanceof`, so they hold for primitives,\nfor objects without a prototype and for values made in another\nframe.",
+    "isNumber": "`isNumber` is true of any number, including `NaN` and\n`Infinity`, but not of strings that look like numbers: '',\n`null` and '12' are not numbers. See `isFiniteNumber`.",
+    "isNaN": "`isNaN` is true only of `NaN` itself. The global `isNaN`\ncoerces its argument, so `isNaN('abc')` is true.\n\nThe local name is not `isNaN`, so that the global one is never\nmistaken for it.",
+    "isNil": "`isNil` is the opposite of `exists`.",
+    "isPromise": "`isPromise` is true of anything with a `then` method, which is\nhow Promises recognize each other.",
+    "isObject": "`isObject` is true of anything that can have properties of its\nown: objects, arrays, functions, but not primitives or `null`.",
+    "isPlainObject": "`isPlainObject` is true of objects made by `{}`, `new Object`\nor `Object.create(null)`, and not of class instances, arrays\nor other built-ins.",
+    "isArrayLike": "`isArrayLike` is true of arrays, strings (both primitives and\nobjects), `arguments` and typed arrays, by tag, and of other\nobjects with a non-negative integer `length` whose last index\nis really there, as Underscore.js checks: NodeLists, say, or\n`{ 0: 'a', length: 1 }`. A record that merely has a `length`\nfield, such as `{ title: 'Song', length: 3 }`, is not.\nFunctions have a `length` too, but it is their arity.",
+    "isIndexed": "`isIndexed`, `isKeyed` and `isIterable` define the collection\nprotocol used by `each`. An indexed collection is one that is\narray-like.",
+    "isKeyed": "A keyed collection, for `each`'s purposes, is a Map or a\npersistent hash map. Plain objects are keyed too, but they are\nthe fallback and need no test.",
+    "isEqual": "`isEqual` compares two values structurally. Arrays, typed\narrays, plain objects, Maps and Sets are equal if their\ncontents are; Dates and RegExps if they denote the same time or\npattern. `NaN` equals `NaN`, and cyclic structures are handled.",
+    "isEqualWith": "`isEqualWith` is `isEqual` with a `customizer`, which is called\nwith each pair of values (and their key, below the top level)\nbefore they are compared. If it returns anything other than\n`undefined`, that decides whether the pair is equal.",
+    "isEmpty": "Anything that cannot report its size is empty if `each` finds\nno first item; there is no need to count it. Note that this\nconsumes the first item of a generator.",
+    "validator": "`validator` attaches `message` to `pred`. The result is still a\npredicate and can go anywhere one can.",
+    "checker": "`checker` returns a function that runs a value through every\nvalidator and returns the messages of those that failed. An\nempty array means the value passed.\n\nvar checkCommand = g_.checker(\n    g_.validator('must be a map', g_.isObject),\n    g_.validator('must have a type', function(cmd) {\n        return g_.exists(cmd.type);\n    }));\ncheckCommand(42);\n=> ['must be a map', 'must have a type']",
+    "condition": "`condition` returns a wrapper that guards a function with\npre-conditions, which are validators called with its\narguments, and post-conditions, which are validators called\nwith its result. Either may be one validator or an array. If\nany fails, the wrapped function throws.\n\nvar safeSqrt = g_.condition(\n    g_.validator('arg must be a number', g_.isNumber),\n    g_.validator('result must be finite', isFinite))(Math.sqrt);",
+    "shape": "`shape` describes an object by the schema of each of its keys.\nKeys the shape does not mention are allowed.\n\nvar user = g_.shape({\n    name: g_.validator('must be a string', g_.isString),\n    tags: g_.arrayOf( g_.validator('must be a string', g_.isString) ),\n    address: {\n        zip: g_.optional( g_.validator('must be a number', g_.isNumber) )\n    }\n});\ng_.validate(user, { name: 'Ann', tags: ['a', 1], address: {} });\n=> [{ path: 'tags[1]', message: 'must be a string' }]",
+    "arrayOf": "`arrayOf` describes an array whose every item fits `spec`.",
+    "oneOf": "`oneOf` accepts a value that fits any of its alternatives. An\nalternative that is not a function or a plain object is a\nliteral, which the value must equal, so `oneOf` doubles as an\nenumeration: `g_.oneOf('asc', 'desc')`.",
+    "optional": "`optional` lets a value be missing (`undefined` or `null`) and\notherwise checks it against `spec`.",
+    "validate": "`validate` checks `value` against a schema and returns every\nfailure, each with the path to where it happened. The root of\nthe value has the path ''.",
+    "right": "`right` and `left` are `ok` and `err` under their Either names.",
+    "fromNullable": "`fromNullable` is Nothing for `undefined` and `null` and Just\nfor anything else.",
+    "tryCatch": "`tryCatch` returns a function that calls `func` and returns Ok\nwith its result, or Err with whatever it threw.",
+    "findMaybe": "`findMaybe`, `firstMaybe`, `nthMaybe` and `getMaybe` are `find`,\n`first`, `nth` and `get` returning a Maybe. Because they know\nwhether they found something, a found `undefined` is a Just.",
+    "pipelineSafe": "`pipelineSafe` is `pipeline` for steps that may fail. A step\nmay return a plain value, a Maybe or a Result. A Just or Ok is\nunwrapped before it is passed to the next step; a Nothing or\nErr stops the pipeline and is returned as it is.\n\ng_.pipelineSafe(users,\n    function(us) { return g_.findMaybe(us, isAdmin); },\n    function(u)  { return g_.getMaybe(u, 'address.city'); });\n=> Just('Paris'), or Nothing if either step found nothing",
+    "gen.constant": "`constant` always makes `val`.",
+    "gen.int": "`int` makes integers between `min` and `max`, inclusive. Without\nbounds they are between `-size` and `size`. They shrink towards\nzero, or the bound nearest it.",
+    "gen.oneOf": "`oneOf` makes a value from one of its arguments, chosen at\nrandom. An argument that is not a generator stands for itself:\n\ng_.gen.oneOf('red', 'green', 'blue');\n\nIt shrinks towards the first argument.",
+    "gen.frequency": "`frequency` is `oneOf` with weights:\n\ng_.gen.frequency([[9, g_.gen.int()], [1, g_.gen.constant(null)]]);",
+    "gen.array": "`array` makes arrays of `elem`'s values. Without `maxLength`,\nthey are at most `size` long.",
+    "gen.tuple": "`tuple` makes arrays with one value from each generator.",
+    "gen.string": "`string` makes strings of characters from `chars`, which by\ndefault is printable ASCII. They shrink towards fewer and\nearlier characters.",
+    "gen.object": "`object` makes objects shaped like `shape`, a plain object of\ngenerators (or constant values):\n\ng_.gen.object({ name: g_.gen.string(), age: g_.gen.int(0, 120) });",
+    "gen.dict": "`dict` makes objects with random keys, from `key` (by default,\nshort strings), and values from `value`.",
+    "gen.recursive": "`recursive` makes nested structures. `base` makes the leaves;\n`extend` takes a generator of smaller structures and returns one\nof bigger ones. The size halves at each level, so the nesting\nends:\n\nvar json = g_.gen.recursive(g_.gen.int(), function(inner) {\n    return g_.gen.array(inner);\n});",
+    "forAll": "`forAll` makes a property: `pred` should hold for every\ncombination of values from the generators. `pred` fails by\nreturning `false` or by throwing.\n\nvar reverseTwice = g_.forAll(g_.gen.array(g_.gen.int()), function(xs) {\n    return g_.isEqual(xs.slice().reverse().reverse(), xs);\n});",
+    "check": "`check` tries `property` against `runs` inputs and returns a\nreport. If an input fails, the report has the shrunk\n`counterexample` (an array of arguments), the `original` one,\nthe number of `shrinks` and the `error`, if `pred` threw. Pass\n`seed` to replay a run.\n\ng_.check(g_.forAll(g_.gen.int(), function(n) { return n < 50; }));\n=> { ok: false, counterexample: [50], shrinks: 5, seed: ..., ... }",
+    "sum": "`sum` adds in the error that each addition rounds away, and adds\nit back at the end (Neumaier's improvement on Kahan summation),\nso that adding many small numbers to a large one loses nothing:\n\ng_.sum([1e100, 1, -1e100]);\n=> 1, where a plain loop gives 0",
+    "variance": "`variance` is the sample variance, which divides by one less\nthan the count. Pass `{ population: true }` to divide by the\ncount, when `coll` is everything rather than a sample of it.\n`stddev` is its square root.",
+    "quantile": "`quantile` returns the value below which the fraction `p` of the\nvalues fall, interpolating between the two nearest when it falls\nbetween them (as R's default and Excel's PERCENTILE do). `p` may\nbe an array of fractions, for several at once.\n\ng_.quantile([1, 2, 3, 4], [0.25, 0.5]);\n=> [1.75, 2.5]",
+    "mode": "`mode` returns the most common value. Of values that are equally\ncommon, the first to be seen wins. It counts any values, not\njust numbers, and compares them as a `Map` does: 1 and '1' are\ndifferent. An empty collection gives `undefined`.",
+    "extent": "`extent` returns the smallest and largest values at once.",
+    "histogram": "`histogram` counts the values into bins of equal width. Options:\n\n  - bins:   how many. By default, Sturges's rule: one more than\n            the log, base two, of the count. A domain with no\n            width gets one bin.\n  - domain: the [lo, hi] the bins cover. Defaults to the\n            `extent`; values outside it are left out.\n  - key:    as for the other functions here.\n\nEach bin is `{ x0, x1, count, values }` and holds the values with\nx0 <= value < x1, except the last, which includes `hi` too.\n\ng_.histogram([1, 2, 2, 3, 9], { bins: 2, domain: [0, 10] });\n=> [{ x0: 0, x1: 5, count: 4, values: [1, 2, 2, 3] },\n    { x0: 5, x1: 10, count: 1, values: [9] }]",
+    "noConflict": "`noConflict` gives the global `g_` back to whatever held it\nbefore this library loaded and returns the library, to be kept\nunder another name:\n\nvar gu = g_.noConflict();"
+};
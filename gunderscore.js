@@ -21,7 +21,28 @@
  * --------------------------------------------------------------- */
 
 
-(function() {
+// The library is wrapped so that it loads the same way everywhere:
+// `require`d as a CommonJS module, through an AMD loader, or from a
+// plain <script> tag, where it becomes the global `g_`. The ES module
+// build, gunderscore.mjs, is generated from this file by
+// build-esm.js.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root);
+    } else if (typeof define === 'function' && define.amd) {
+        define([], function() {
+            return factory(root);
+        });
+    } else {
+        root.g_ = factory(root);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this, function(root) {
+
+
+    // Strict mode turns a forgotten `var` into an error instead of a
+    // global, and the library has to run inside strict code anyway:
+    // bundlers and ES modules are always strict.
+    'use strict';
 
 
     // `g_` is just a namespace, unlike `_`, which is a function
@@ -35,7 +56,26 @@
     // a row--but conceptually quite different. In a pipeline, each
     // function returns a value and the next function works against
     // that value. See `pipeline`.
-    this.g_ = g_ = {};
+    var g_ = {};
+
+
+    // `previousG_` is whatever `g_` was on the page before this
+    // library loaded, so that `noConflict` can put it back.
+    var previousG_ = root ? root.g_ : undefined;
+
+
+    // `breaker` is a private sentinel. If the function passed to
+    // `each` returns it, `each` stops iterating. This is the one
+    // 'early return' trick from Underscore.js that I have adopted,
+    // because without it `find`, `any` and `all` must walk the
+    // entire collection--and an infinite sequence never ends.
+    var breaker = {};
+
+
+    // `iteratorSymbol` is `Symbol.iterator` where the environment
+    // has one. Older browsers do not, in which case Maps, Sets and
+    // generators do not exist either and nothing is lost.
+    var iteratorSymbol = typeof Symbol === 'function' && Symbol.iterator;
 
 
 /* Collection functions
@@ -45,6 +85,19 @@
  * collection... The point of a collection-centric view... is to have 
  * a consistent processing idiom so that we can reuse a comprehensive
  * set of functions.'
+ *
+ * Every function here accepts any collection, and `each` decides
+ * how to walk it. There are three kinds:
+ *
+ *   - indexed:  arrays, strings, `arguments`, typed arrays, NodeLists
+ *               and other array-likes. Keys are indices.
+ *   - keyed:    Maps and plain objects. Keys are the Map's keys or
+ *               the object's property names.
+ *   - iterable: Sets, generators, lazy sequences and anything else
+ *               with a `Symbol.iterator`. Keys are the position of
+ *               each value in the iteration.
+ *
+ * Callbacks always receive `(value, key)`.
  * --------------------------------------------------------------- */
 
 
@@ -53,21 +106,42 @@
     // Functional programming does not eliminate imperative concepts;
     // rather, it abstracts them away with functions. Ideally, any
     // loss in performance can be regained by a compressor.
+    //
+    // If `func` returns `breaker`, iteration stops early. This is
+    // private to the library; callers cannot break out of `each`.
     var each = g_.each = function(coll, func) {
         var i = 0,
-            keys,
-            len;
-
-        if ( isIndexed(coll) ) {
+            ks,
+            len,
+            iter,
+            next,
+            step;
+
+        if ( isSeq(coll) ) {
+            next = coll.generate();
+            for ( ; !(step = next()).done; i++) {
+                if (func(step.value, i) === breaker) return;
+            }
+        } else if ( isIndexed(coll) ) {
             len = coll.length;
             for ( ; i < len; i++) {
-                func(coll[i], i);
+                if (func(coll[i], i) === breaker) return;
+            }
+        } else if ( isKeyed(coll) ) {
+            iter = coll.entries();
+            while ( !(step = iter.next()).done ) {
+                if (func(step.value[1], step.value[0]) === breaker) return;
+            }
+        } else if ( isIterable(coll) ) {
+            iter = coll[iteratorSymbol]();
+            for ( ; !(step = iter.next()).done; i++) {
+                if (func(step.value, i) === breaker) return;
             }
         } else {
-            ks = keys(coll);
-            len  = ks.length;
+            ks  = keys(coll);
+            len = ks.length;
             for ( ; i < len; i++) {
-                func(coll[ks[i]], i);
+                if (func(coll[ks[i]], ks[i]) === breaker) return;
             }
         }
 
@@ -79,9 +153,16 @@
     // returning an array of results. Notice how it uses `each`.
     // Functional programming builds bigger abstractions from
     // smaller abstractions.
+    //
+    // If `coll` is a lazy sequence, `map` returns another lazy
+    // sequence. See `lazy`. Called with only a function, `map`
+    // returns a transducer. See `transduce`.
     var map = g_.map = function(coll, func) {
         var result = [];
 
+        if (arguments.length === 1) return mapping(coll);
+        if ( isSeq(coll) ) return lazyMap(coll, func);
+
         // Note that the anonymous function passed to `each` adheres
         // to `each`'s contract, namely it takes a parameter `item`
         // which is just `coll[i]` for the appropriate iteration.
@@ -93,8 +174,8 @@
         // 
         // @Fogus: 'As long as no one knows you've mutated a variable
         // then does it matter? I'd say no.'
-        each(coll, function(item) {
-            result.push( func(item) );
+        each(coll, function(item, key) {
+            result.push( func(item, key) );
         });
         
         return result;
@@ -106,14 +187,22 @@
     // `coll` and assigns that as the new value of `seed`. If `func`
     // does not reassign seed--try passing in `identity`--then
     // `reduce` simply returns `seed`. See `legacyReduce`.
+    //
+    // If `func` returns a value wrapped with `reduced`, `reduce`
+    // stops and returns the unwrapped value. See `transduce`.
     var reduce = g_.reduce = function(coll, func, seed) {
+        var noSeed = arguments.length < 3;
+
         // This is not just an early return. If `coll` is empty and
         // `seed` is undefined, `reduce` could return `undefined`
-        // without this check.
-        if (isEmpty(coll)) {
-            return coll;
+        // without this check. With a `seed`, an empty `coll` simply
+        // reduces to `seed`. Generators are left alone: checking one
+        // for emptiness would consume its first item.
+        if ( noSeed && (!isIterable(coll) || isIndexed(coll) || isSized(coll)) ) {
+            if (isEmpty(coll)) {
+                return coll;
+            }
         }
-        var noSeed = arguments.length < 3;
 
         each(coll, function(item, i) {
             if (noSeed) {
@@ -130,6 +219,10 @@
                 // the running, accumulated value and current item
                 // in `coll`.
                 seed = func(seed, item, i);
+                if ( isReduced(seed) ) {
+                    seed = seed.val;
+                    return breaker;
+                }
             }
         });
 
@@ -153,12 +246,17 @@
 
 
     // `filter` calls a predicate function on each item in a
-    // collection, returning a collection of predicates.
+    // collection, returning a collection of predicates. Like `map`,
+    // it is lazy when `coll` is a lazy sequence and returns a
+    // transducer when called with only a predicate.
     var filter = g_.filter = function(coll, pred) {
         var result = [];
 
-        each(coll, function(item) {
-            if ( pred(item) ) {
+        if (arguments.length === 1) return filtering(coll);
+        if ( isSeq(coll) ) return lazyFilter(coll, pred);
+
+        each(coll, function(item, key) {
+            if ( pred(item, key) ) {
                 result.push(item);
             }
         });
@@ -168,46 +266,236 @@
 
 
     // `find` takes a collection and a predicate and returns the
-    // first element for which the predicate returns true. While this
-    // implementation is inefficient, it is clear that we are
-    // building an abstraction upon an abstraction.
+    // first element for which the predicate returns true. It stops
+    // at the first match, so it also works on infinite sequences.
     var find = g_.find = function(coll, pred) {
-        return filter(coll, pred)[0];
+        var result;
+
+        each(coll, function(item, key) {
+            if ( pred(item, key) ) {
+                result = item;
+                return breaker;
+            }
+        });
+
+        return result;
     };
 
 
     // `where` takes an array of objects and returns all of the
-    // objects that match the criteria.
+    // objects that match the criteria. See `matcher` for what the
+    // criteria may contain. Plain values are compared with `isEqual`,
+    // so a criterion can be an array or a nested object.
     var where = g_.where = function(coll, crit) {
-        return filter(coll, function(item) {
-            for (key in crit) {
-                if (crit[key] !== item[key]) {
-                    return false;
-                }
+        return filter( coll, matcher(crit) );
+    };
+
+
+    // `isOperatorObject` is private. `{ $gt: 1 }` is a condition made
+    // of operators; `{ gt: 1 }` is a value to compare against.
+    var isOperatorObject = function(obj) {
+        var ks;
+
+        if ( !isPlainObject(obj) ) return false;
+        ks = Object.keys(obj);
+        return ks.length > 0 && all(ks, function(key) {
+            return key.charAt(0) === '$';
+        });
+    };
+
+
+    // `conditionOps` holds the field operators. Each takes the
+    // operator's argument and returns a test of `(val, present)`,
+    // where `present` says whether the field exists at all.
+    var conditionOps = {
+        $eq: function(arg) {
+            return function(val) {
+                return isEqual(val, arg);
+            };
+        },
+        $ne: function(arg) {
+            return function(val) {
+                return !isEqual(val, arg);
+            };
+        },
+        $gt: function(arg) {
+            return function(val) {
+                return exists(val) && val > arg;
+            };
+        },
+        $gte: function(arg) {
+            return function(val) {
+                return exists(val) && val >= arg;
+            };
+        },
+        $lt: function(arg) {
+            return function(val) {
+                return exists(val) && val < arg;
+            };
+        },
+        $lte: function(arg) {
+            return function(val) {
+                return exists(val) && val <= arg;
+            };
+        },
+        $in: function(arg) {
+            return function(val) {
+                return any(arg, function(candidate) {
+                    return isEqual(val, candidate);
+                });
+            };
+        },
+        $nin: function(arg) {
+            var test = conditionOps.$in(arg);
+            return function(val) {
+                return !test(val);
+            };
+        },
+        $exists: function(arg) {
+            return function(val, present) {
+                return arg ? present : !present;
+            };
+        },
+        $regex: function(arg, cond) {
+            return compileCondition( new RegExp(arg, cond.$options || '') );
+        },
+        // `$options` only modifies `$regex`.
+        $options: function() {
+            return constant(true);
+        },
+        $not: function(arg) {
+            var test = compileCondition(arg);
+            return function(val, present) {
+                return !test(val, present);
+            };
+        }
+    };
+
+
+    // `compileCondition` is private. It turns the condition on one
+    // field into a test of `(val, present)`. A RegExp tests strings;
+    // an operator object passes if all its operators do; anything
+    // else must be `isEqual` to the value.
+    var compileCondition = function(cond) {
+        var tests;
+
+        if ( isRegExp(cond) ) {
+            return function(val) {
+                cond.lastIndex = 0;
+                return typeof val === 'string' && cond.test(val);
+            };
+        }
+        if ( !isOperatorObject(cond) ) {
+            return conditionOps.$eq(cond);
+        }
+
+        tests = map(Object.keys(cond), function(op) {
+            if ( !has(conditionOps, op) ) {
+                throw new Error('Unknown query operator: ' + op);
             }
-            return true;
+            return conditionOps[op](cond[op], cond);
+        });
+        return function(val, present) {
+            return all(tests, function(test) {
+                return test(val, present);
+            });
+        };
+    };
+
+
+    // `matcher` compiles a query into a predicate, once, so that it
+    // can be handed to `filter`, `find`, `not` or anything else that
+    // takes one. A query is an object whose keys are field paths (see
+    // `get`) and whose values are conditions:
+    //
+    // var adult = g_.matcher({
+    //     'profile.age': { $gte: 18 },
+    //     name:          /^[A-Z]/,
+    //     role:          { $in: ['admin', 'editor'] },
+    //     deleted:       { $exists: false }
+    // });
+    // g_.find(users, adult);
+    //
+    // The field operators are `$eq`, `$ne`, `$gt`, `$gte`, `$lt`,
+    // `$lte`, `$in`, `$nin`, `$exists`, `$regex` (with `$options`)
+    // and `$not`. `$and`, `$or` and `$not` also work at the top level
+    // and take whole queries.
+    var matcher = g_.matcher = function(query) {
+        var tests = map(Object.keys(query), function(key) {
+            var arg = query[key],
+                subs,
+                test;
+
+            if (key === '$and' || key === '$or') {
+                subs = map(arg, unary(matcher));
+                return function(item) {
+                    return (key === '$and' ? all : any)(subs, function(sub) {
+                        return sub(item);
+                    });
+                };
+            }
+            if (key === '$not') {
+                test = matcher(arg);
+                return function(item) {
+                    return !test(item);
+                };
+            }
+
+            test = compileCondition(arg);
+            return function(item) {
+                return test( get(item, key), hasPath(item, key) );
+            };
         });
+
+        return function(item) {
+            return all(tests, function(test) {
+                return test(item);
+            });
+        };
     };
 
 
-    // `select` takes an array of objects and returns the values of
-    // each object's `key` key.
-    var select = g_.select = function(coll, key) {
+    // `select` takes an array of objects and projects each one.
+    // `fields` may be:
+    //
+    //   - a path, which plucks that value from each object.
+    //   - an array of paths, which copies those fields, keeping
+    //     their nesting: ['name', 'address.city'] gives
+    //     `{ name: ..., address: { city: ... } }`.
+    //   - an object mapping new names to paths, or to functions of
+    //     the whole object: `{ city: 'address.city' }`.
+    var select = g_.select = function(coll, fields) {
         return map(coll, function(item) {
-            return item[key];
+            var result = {};
+
+            if ( isArray(fields) ) {
+                each(fields, function(path) {
+                    if ( hasPath(item, path) ) {
+                        result = setIn( result, path, get(item, path) );
+                    }
+                });
+                return result;
+            }
+            if ( isPlainObject(fields) ) {
+                each(Object.keys(fields), function(name) {
+                    var path = fields[name];
+                    result[name] = isFunction(path) ? path(item) : get(item, path);
+                });
+                return result;
+            }
+            return get(item, fields);
         });
     };
 
 
     // `invert` takes an associative array and switches the keys and
-    // the values.
+    // the values. If two keys share a value, the last one wins; see
+    // `invertBy` to keep them all.
     var invert = g_.invert = function(coll) {
-        var ks     = keys(coll),
-            result = {},
-            vs     = vals(coll);
+        var result = {};
 
-        each(keys, function(i) {
-            result[vs[i]] = ks[i];
+        each(keys(coll), function(key) {
+            putKey( result, coll[key], key );
         });
 
         return result;
@@ -219,23 +507,51 @@
     // on `each`. Abstraction upon abstraction. The code is dense,
     // but elegant.
     var not = g_.not = function(coll, pred) {
-        return filter(coll, function(i) {
-            return !pred(i);
+        return filter(coll, function(item, key) {
+            return !pred(item, key);
         });
     };
 
 
+    // `remove` is `not` under the name transducer libraries use for
+    // it. Called with only a predicate, it returns a transducer.
+    var remove = g_.remove = function(coll, pred) {
+        if (arguments.length === 1) return removing(coll);
+        return not(coll, pred);
+    };
+
+
     // `all` takes a collection and a predicate and returns true if
-    // all of the elements return true on the predicate.
+    // all of the elements return true on the predicate. It stops at
+    // the first element that fails.
     var all = g_.all = function(coll, pred) {
-        return coll.length === filter(coll, pred).length;
+        var result = true;
+
+        each(coll, function(item, key) {
+            if ( !pred(item, key) ) {
+                result = false;
+                return breaker;
+            }
+        });
+
+        return result;
     };
 
 
     // `any` takes a collection and a predicate and returns true if 
-    // any of the elements return true on the predicate.
+    // any of the elements return true on the predicate. It stops at
+    // the first element that passes.
     var any = g_.any = function(coll, pred) {
-        return filter(coll, pred).length > 0;
+        var result = false;
+
+        each(coll, function(item, key) {
+            if ( pred(item, key) ) {
+                result = true;
+                return breaker;
+            }
+        });
+
+        return result;
     };
 
 
@@ -252,27 +568,70 @@
     var tail = g_.tail = function(coll) {
         // Why not `return coll.slice(1)`? See:
         // http://stackoverflow.com/questions/7056925/
-        return Array.prototype.slice.call(coll, 1);
+        return Array.prototype.slice.call(isIndexed(coll) ? coll : toArray(coll), 1);
     };
 
 
-    // `first` selects the first item in a collection.
+    // `first` selects the first item in a collection. It asks `each`
+    // for one item and then breaks, so it works the same way for
+    // every kind of collection.
     var first = g_.first = function(coll) {
-        if ( isIndexed(coll) ) {
-            return coll[0];
-        } else {
-            return coll[ keys(coll)[0] ];
-        }
+        var result;
+
+        each(coll, function(item) {
+            result = item;
+            return breaker;
+        });
+
+        return result;
+    };
+
+
+    // `last` selects the last item in a collection.
+    var last = g_.last = function(coll) {
+        var arr = isIndexed(coll) ? coll : toArray(coll);
+        return arr[arr.length - 1];
+    };
+
+
+    // `initial` returns every item but the last. It is the mirror of
+    // `tail`.
+    var initial = g_.initial = function(coll) {
+        return toArray(coll).slice(0, -1);
+    };
+
+
+    // `takeRight` and `dropRight` are `take` and `drop` from the end
+    // of the collection.
+    var takeRight = g_.takeRight = function(coll, n) {
+        var arr = toArray(coll);
+        return arr.slice( Math.max(arr.length - n, 0) );
     };
 
 
-    // `max` returns the largest number in an array.
+    var dropRight = g_.dropRight = function(coll, n) {
+        var arr = toArray(coll);
+        return arr.slice( 0, Math.max(arr.length - n, 0) );
+    };
+
+
+    // `max` returns the largest number in an array. `pred` decides
+    // what 'largest' means: it is asked whether each item beats the
+    // best so far. It defaults to `isGreaterThan`.
+    //
+    // g_.max(['pear', 'fig', 'banana'], function(x, y) {
+    //     return x.length > y.length;
+    // });
+    // => 'banana'
     var max = g_.max = function(coll, pred) {
-        var result = -Infinity; // This acounts for negative numbers.
+        var result  = -Infinity, // What an empty array gives.
+            started = false,
+            better  = pred || isGreaterThan;
 
-        each(coll, function(i) {
-            if ( g_.isGreaterThan(coll[i], result) ) {
-                result = coll[i];
+        each(coll, function(item) {
+            if (!started || better(item, result)) {
+                result  = item;
+                started = true;
             }
         });
 
@@ -280,13 +639,53 @@
     };
 
 
-    // `min` returns the smallest number in an array.
+    // `min` returns the smallest number in an array. `pred` is as for
+    // `max`, but defaults to 'is less than'.
     var min = g_.min = function(coll, pred) {
-        var result = Infinity; // This acounts for positive numbers.
+        var result  = Infinity, // What an empty array gives.
+            started = false,
+            better  = pred || function(x, y) { return x < y; };
+
+        each(coll, function(item) {
+            if (!started || better(item, result)) {
+                result  = item;
+                started = true;
+            }
+        });
+
+        return result;
+    };
 
-        each(coll, function(i) {
-            if ( !g_.isGreaterThan(coll[i], result) ) {
-                result = coll[i];
+
+    // `maxBy` returns the item with the largest key, as for `groupBy`:
+    //
+    // g_.maxBy(people, 'age');
+    // => the oldest person
+    //
+    // Items whose key is missing are passed over. The first of any
+    // that tie wins, and an empty collection gives `undefined`.
+    var maxBy = g_.maxBy = function(coll, key) {
+        return bestBy(coll, key, isGreaterThan);
+    };
+
+
+    var minBy = g_.minBy = function(coll, key) {
+        return bestBy(coll, key, function(x, y) { return x < y; });
+    };
+
+
+    // `bestBy` is private; see `maxBy`.
+    var bestBy = function(coll, key, better) {
+        var func = keyFn(key),
+            result, best;
+
+        each(coll, function(item, k) {
+            var val = func(item, k);
+
+            if ( isNil(val) ) return;
+            if ( best === undefined || better(val, best) ) {
+                result = item;
+                best   = val;
             }
         });
 
@@ -306,10 +705,13 @@
     //
     // @Fogus: 'As long as no one knows you've mutated a variable
     // then does it matter? I'd say no.'
+    //
+    // The result is as long as the shortest list; see `zipLongest`
+    // to pad the shorter ones instead.
     var zip = g_.zip = function(/* args */) {
-        var args   = toArray(arguments),
+        var args   = map(arguments, unary(toArray)),
             i      = 0,
-            len    = args[0].length,
+            len    = args.length ? Math.min.apply(null, select(args, 'length')) : 0,
             result = [];
 
         for ( ; i < len; i++) {
@@ -324,343 +726,4955 @@
     };
 
 
-    // `pipeline` executes a list of functions in order, with each
-    // function working against a returnd values, not a mutable
-    // reference. See `g_`.
-    var pipeline = g_.pipeline = function(seed /*, args */) {
-        return reduce(
-                    tail(arguments),
-                    function(last, curr) {
-                        return curr(last);
-                    },
-                    seed);
-    };
+    // `zipLongest` is `zip` with a result as long as the longest
+    // list. Shorter lists are padded with `fill`.
+    var zipLongest = g_.zipLongest = function(fill /*, args */) {
+        var args   = map(tail(arguments), unary(toArray)),
+            i      = 0,
+            len    = args.length ? Math.max.apply(null, select(args, 'length')) : 0,
+            result = [];
 
+        for ( ; i < len; i++) {
+            result.push(
+                map(args, function(arr) {
+                    return i < arr.length ? arr[i] : fill;
+                })
+            );
+        }
 
-/* Currying
- *
- * @Fogus: 'A curried function is one that returns a new function for
- * every logical argument that it takes.'
- * --------------------------------------------------------------- */
+        return result;
+    };
 
 
-    // `curry` takes a function `func` and allows for partial or
-    // full application of its arguments. If `curry` is provided with
-    // all the arguments that `func` expects, it calls `func` with
-    // those arguments. If it does not, it concatenates curried
-    // function's applied arguments with `func`'s arguments and then
-    // calls `func`. See `legacyCurry`.
-    var curry = g_.curry = function(func) {
-        return function(/* args */) {
-            var args = toArray(arguments);
-            if (func.length === args.length) {
-                return func.apply(null, args);
-            }
-            else {
-                return function(/* args */) {
-                    // I do not like this. I am not calling the
-                    // curried function. I am just using it as a way
-                    // to grab its arguments and apply it to the
-                    // original function.
-                    var allArgs = args.concat( toArray(arguments) );
-                    return func.apply(null, allArgs);
-                };
-            }
-        };
+    // `zipWith` zips the lists and then calls `func` with each group
+    // of items, rather than returning the group.
+    //
+    // g_.zipWith(function(a, b) { return a + b; }, [1, 2], [10, 20]);
+    // => [11, 22]
+    var zipWith = g_.zipWith = function(func /*, args */) {
+        return map(zip.apply(null, tail(arguments)), function(group) {
+            return func.apply(null, group);
+        });
     };
 
 
-    // `legacyCurry` takes a function and returns a function
-    // expecting one parameter. It enforces currying, essentially.
-    // See `curry` for a more robust implementation.
-    var legacyCurry = function(func) {
-        return function(arg) {
-            return func(arg);
-        };
+    // `unzip` is the inverse of `zip`: it takes a list of groups and
+    // returns a list of lists.
+    var unzip = g_.unzip = function(groups) {
+        return zip.apply( null, toArray(groups) );
     };
 
 
-/* Utility functions
- * --------------------------------------------------------------- */
+    // `zipObject` builds an object from a list of keys and a list of
+    // values.
+    var zipObject = g_.zipObject = function(ks, vs) {
+        var result = {};
 
+        each(ks, function(key, i) {
+            putKey( result, key, vs[i] );
+        });
 
-    // `identity` returns the value it is passed. This abstraction is
-    // surprisingly important because, since functional programming
-    // focuses on functions rather than values (for configuration),
-    // we often need to pass in `identity`.
-    var identity = g_.identity = function(val) {
-        return val;
+        return result;
     };
 
 
-    // `times` executes `func` `n` times.
-    var times = g_.times = function(n, func) {
-        each(g_.range(n), func);
-        return;
-    };
-
-    // `constant` is configurable, higher-order that returns a function
-    // that always returns the input.
-    var constant = g_.constant = function(constant) {
-        return function() {
-            return constant;
-        };
+    // `interleave` takes the first item of each list, then the second
+    // of each, and so on, stopping with the shortest list.
+    var interleave = g_.interleave = function(/* args */) {
+        return flatten(zip.apply(null, arguments), 1);
     };
 
 
-    // `range` returns an array of size `stop`, with optional
-    // `start` and `step` parameters.
-    var range = g_.range = function(start, stop, step) {
-        var result = [],
-            stop   = arguments[1] || arguments[0],
-            start  = (arguments.length >= 2) ? arguments[0] : 0,
-            step   = arguments[2] || 1
-            i      = start;
+    // `flatten` pulls the items of nested arrays up into one array,
+    // `depth` levels deep. By default it flattens all the way down.
+    var flatten = g_.flatten = function(coll, depth) {
+        var result = [];
 
-        for ( ; i < stop; i = i+step) {
-            result.push(i);
-        }
+        depth = arguments.length < 2 ? Infinity : depth;
+        each(coll, function(item) {
+            if (isArray(item) && depth > 0) {
+                result.push.apply( result, flatten(item, depth - 1) );
+            } else {
+                result.push(item);
+            }
+        });
 
         return result;
     };
 
 
-    // `memoize` builds a cache of function calls and return values,
-    // and only executes `func` if it has not done so previously.
-    var memoize = g_.memoize = function(func) {
-        var cache = {};
+    // `checkSize` is private. It throws unless `size`, the length of
+    // the runs made by `chunk` or `window`, is at least 1.
+    var checkSize = function(size, what) {
+        if ( !(size >= 1) ) {
+            throw new RangeError(what + ' ' + size + ' is not at least 1.');
+        }
+    };
 
-        return function(/* args */) {
-            var args = toArray(arguments).toString();
 
-            if (!cache[args]) {
-                cache[args] = func.apply(func, arguments);
-            }
+    // `chunk` splits a collection into arrays of `size` items. The
+    // last chunk holds whatever is left over. There are no chunks of
+    // fewer than 1 item, so a smaller `size` throws a RangeError.
+    var chunk = g_.chunk = function(coll, size) {
+        var arr = toArray(coll);
 
-            return cache[args];
-        };
+        checkSize(size, 'Chunk size');
+
+        return map(range(0, arr.length, size), function(start) {
+            return arr.slice(start, start + size);
+        });
     };
 
 
-    // `nth` returns the element located within a collection at the
-    // index provided. @Fogus says, 'While array indexing is a core
-    // behavior in JavaScript, there is no way to grab hold of the
-    // behavior and use it as needed without placing it into a
-    // function.' But now that it is a function, we can do this:
+    // `window` returns every run of `size` consecutive items, moving
+    // `step` items (default 1) between runs. Unlike `chunk`, runs
+    // overlap when `step` is smaller than `size`, and a short run at
+    // the end is left out. As with `chunk`, a `size` below 1 throws
+    // a RangeError.
     //
-    // `function second(coll) { return nth(arr, 1); };`å
+    // g_.window([1, 2, 3, 4], 2);
+    // => [[1, 2], [2, 3], [3, 4]]
     //
-    // This is powerful because, as @Fogus says, `second` allows us
-    // to 'appropriate the correct behavior of `nth` for a different
-    // but related use case.'
-    var nth = g_.nth = function(coll, index) {
-        if ( !isIndexed(coll) ) return;
-        return coll[index];
+    // The local name is not `window`, which would hide the browser's
+    // global object from the rest of the library.
+    var slidingWindow = g_.window = function(coll, size, step) {
+        var arr = toArray(coll);
+
+        checkSize(size, 'Window size');
+
+        return map(range(0, arr.length - size + 1, step || 1), function(start) {
+            return arr.slice(start, start + size);
+        });
     };
 
 
-    /* Conversion functions
-     * -------------------- */
+    // `partition` splits a collection in two: the items that pass
+    // `pred` and the items that fail it.
+    //
+    // g_.partition([1, 2, 3, 4], isOdd);
+    // => [[1, 3], [2, 4]]
+    var partition = g_.partition = function(coll, pred) {
+        var pass = [],
+            fail = [];
+
+        each(coll, function(item, key) {
+            (pred(item, key) ? pass : fail).push(item);
+        });
 
-    // `toArray` turns array-like objects (`arguments`, strings)
-    // into arrays
-    var toArray = g_.toArray = function(args) {
-        return Array.prototype.slice.call(args, 0);
+        return [pass, fail];
     };
 
 
-    // `toHexidecimal` returns a hexidecimal number, based on the
-    // number `n` applied.
-    var toHexidecimal = g_.toHexidecimal = function(n) {
-        return n.toString(16);
+    /* Grouping
+     * -------- */
+
+    // `keyFn` is private. Wherever a function takes a 'key' for
+    // its items, that key may be a function of the item, or a
+    // property name or path for `get`, such as 'address.city'.
+    // Nothing at all means the item itself.
+    var keyFn = function(key) {
+        if ( isFunction(key) ) return key;
+        if ( !exists(key) ) return identity;
+        return function(item) {
+            return get(item, key);
+        };
     };
 
 
-    // `comparator` maps a predicate function to comparator values,
-    // -1, 0, and 1. As a use case, we can now write the following,
-    // since `sort` take an optional comparator argument:
-    //
-    // [2, 3, -1, -6, 0, -108, 42].sort(comparator(!isGreaterThan));
-    // => [-108, -6, -1, 0, 2, 3, 42]
-    var comparator = g_.comparator = function(pred) {
-        return function(x, y) {
-            if ( isFalsy(pred(x, y)) ) {
-                return -1;
-            } else if ( isTruthy(pred(x, y)) ) {
-                return 1;
-            } else {
-                return 0;
-            }
-        }
+    // `putKey` is private. It sets `obj[key]` as an own property even
+    // when the key is '__proto__', which plain assignment would take
+    // as a new prototype for `obj`. Group names and the keys of the
+    // object functions come from the data, so any of them may be
+    // that one.
+    var putKey = function(obj, key, val) {
+        Object.defineProperty(obj, key, { value: val, writable: true, enumerable: true, configurable: true });
     };
 
 
-    /* Object functions
-     * ---------------- */
+    // `groupBy` collects the items of `coll` into an object of
+    // arrays, by key:
+    //
+    // g_.groupBy(['one', 'two', 'three'], 'length');
+    // => { 3: ['one', 'two'], 5: ['three'] }
+    var groupBy = g_.groupBy = function(coll, key) {
+        var func   = keyFn(key),
+            result = {};
 
-    // `keys` takes an associative array and returns array of keys.
-    var keys = g_.keys = function(coll) {
-        var result = [];
+        each(coll, function(item, k) {
+            var group = func(item, k);
 
-        for (key in coll) {
-            result.push(key);
+            if ( !has(result, group) ) putKey(result, group, []);
+            result[group].push(item);
+        });
+
+        return result;
+    };
+
+
+    // `countBy` is `groupBy` counting the items instead of keeping
+    // them, and `frequencies` counts the items themselves:
+    //
+    // g_.frequencies(['a', 'b', 'a']);
+    // => { a: 2, b: 1 }
+    var countBy = g_.countBy = function(coll, key) {
+        var func   = keyFn(key),
+            result = {};
+
+        each(coll, function(item, k) {
+            var group = func(item, k);
+            putKey( result, group, has(result, group) ? result[group] + 1 : 1 );
+        });
+
+        return result;
+    };
+
+
+    var frequencies = g_.frequencies = function(coll) {
+        return countBy(coll, identity);
+    };
+
+
+    // `indexBy` is `groupBy` for keys that are unique, such as ids:
+    // each key maps to one item, the last with that key.
+    var indexBy = g_.indexBy = function(coll, key) {
+        var func   = keyFn(key),
+            result = {};
+
+        each(coll, function(item, k) {
+            putKey( result, func(item, k), item );
+        });
+
+        return result;
+    };
+
+
+    // `aggregateOps` is private. These are the summaries `aggregate`
+    // knows by name. Each takes the values for one group, with `null`
+    // and `undefined` already left out. Most are the functions in
+    // Statistics, below.
+    var aggregateOps = {
+        count: function(values) {
+            return values.length;
+        },
+        sum: function(values) {
+            return sum(values);
+        },
+        mean: function(values) {
+            return values.length ? mean(values) : undefined;
+        },
+        median: function(values) {
+            return values.length ? median(values) : undefined;
+        },
+        stddev: function(values) {
+            return stddev(values);
+        },
+        min: function(values) {
+            return values.length ? reduce(values, function(a, b) { return b < a ? b : a; }) : undefined;
+        },
+        max: function(values) {
+            return values.length ? reduce(values, function(a, b) { return b > a ? b : a; }) : undefined;
+        }
+    };
+
+
+    // `aggregate` summarizes records, by group. `options.by` is the
+    // key to group by, as for `groupBy`; without one, the whole
+    // collection is summarized. `options.fields` names the summaries
+    // to make, each of which is one of:
+    //
+    //   - the name of an operation--'count', 'sum', 'mean', 'median',
+    //     'stddev', 'min' or 'max'--applied to the items themselves.
+    //   - `{ op, of }`: an operation applied to the key `of` of each
+    //     item. Items where it is missing are left out.
+    //   - `{ reduce, seed, of }`: the values reduced with a function
+    //     of your own.
+    //   - a function, called with the group's items.
+    //
+    // g_.aggregate(orders, {
+    //     by: 'customer.country',
+    //     fields: {
+    //         orders:  'count',
+    //         revenue: { op: 'sum', of: 'total' },
+    //         biggest: { op: 'max', of: 'total' },
+    //         items:   { reduce: function(n, o) { return n + o.length; }, seed: 0, of: 'lines' }
+    //     }
+    // });
+    // => { FR: { orders: 2, revenue: 70, biggest: 50, items: 5 }, ... }
+    var aggregate = g_.aggregate = function(coll, options) {
+        var opts = mixin({ by: null, fields: { count: 'count' } }, options);
+
+        var summarize = function(items) {
+            return mapValues(opts.fields, function(spec, name) {
+                var values;
+
+                if ( isFunction(spec) ) return spec(items);
+                if ( isString(spec) ) spec = { op: spec };
+
+                values = exists(spec.of) ? remove( map(items, keyFn(spec.of)), isNil ) : items;
+                if (spec.reduce) {
+                    return 'seed' in spec ? reduce(values, spec.reduce, spec.seed) : reduce(values, spec.reduce);
+                }
+                if ( !has(aggregateOps, spec.op) ) {
+                    throw new Error('aggregate: unknown operation ' + spec.op + ' for ' + name);
+                }
+                return aggregateOps[spec.op](values);
+            });
+        };
+
+        if ( !exists(opts.by) ) return summarize( toArray(coll) );
+        return mapValues( groupBy(coll, opts.by), summarize );
+    };
+
+
+    // `pipeline` executes a list of functions in order, with each
+    // function working against a returnd values, not a mutable
+    // reference. See `g_`.
+    var pipeline = g_.pipeline = function(seed /*, args */) {
+        return reduce(
+                    tail(arguments),
+                    function(last, curr) {
+                        return curr(last);
+                    },
+                    seed);
+    };
+
+
+    // `step` names a function for the instrumented pipelines below.
+    // The function still works anywhere else, `pipeline` included.
+    // Without a name, a step is known by its function's own name, or
+    // failing that as 'step ' and its index.
+    //
+    // g_.pipeline.trace(users, g_.step('admins', onlyAdmins), g_.step('emails', toEmails));
+    var step = g_.step = function(name, func) {
+        var named = function(/* args */) {
+            return func.apply(this, arguments);
+        };
+        named.stepName = name;
+        return named;
+    };
+
+
+    var stepName = function(func, index) {
+        return func.stepName || func.name || 'step ' + index;
+    };
+
+
+    // `pipeline.instrument` returns a pipeline that reports on each
+    // step as it runs. Options:
+    //
+    //   - onStep:    called after every step with `{ index, name,
+    //                input, output, duration }`, or with `error` in
+    //                place of `output` when the step throws.
+    //   - scheduler: as for `debounce`; only its `now` is used, to
+    //                time each step.
+    //
+    // When a step throws, the pipeline throws a 'PipelineError' that
+    // says which step failed and carries its `step` name, `index`
+    // and `input`, with the original error as `cause`.
+    pipeline.instrument = function(options) {
+        var opts = mixin({ onStep: null, scheduler: defaultScheduler }, options);
+
+        return function(seed /*, args */) {
+            return reduce(tail(arguments), function(input, func, index) {
+                var info  = { index: index, name: stepName(func, index), input: input },
+                    start = opts.scheduler.now(),
+                    err;
+
+                try {
+                    info.output = func(input);
+                } catch (e) {
+                    info.error    = e;
+                    info.duration = opts.scheduler.now() - start;
+                    if (opts.onStep) opts.onStep(info);
+
+                    err = new Error( 'Pipeline ' + (info.name === 'step ' + index ? info.name : 'step ' + index + ' (' + info.name + ')') +
+                                     ' failed: ' + (e && e.message !== undefined ? e.message : e) );
+                    err.name  = 'PipelineError';
+                    err.step  = info.name;
+                    err.index = index;
+                    err.input = input;
+                    err.cause = e;
+                    throw err;
+                }
+
+                info.duration = opts.scheduler.now() - start;
+                if (opts.onStep) opts.onStep(info);
+                return info.output;
+            }, seed);
+        };
+    };
+
+
+    // `pipeline.trace` runs a pipeline and returns its `value` along
+    // with the `steps` that `onStep` would have seen and the total
+    // `duration`. If a step throws, the 'PipelineError' carries the
+    // steps so far, the failing one last, as `steps`.
+    //
+    // g_.pipeline.trace(3, inc, double);
+    // => { value: 8, duration: 0, steps: [
+    //        { index: 0, name: 'inc', input: 3, output: 4, duration: 0 },
+    //        { index: 1, name: 'double', input: 4, output: 8, duration: 0 }] }
+    pipeline.trace = function(seed /*, args */) {
+        var steps = [],
+            start = defaultScheduler.now(),
+            run   = pipeline.instrument({ onStep: function(info) { steps.push(info); } }),
+            value;
+
+        try {
+            value = run.apply(null, arguments);
+        } catch (e) {
+            if (e && e.name === 'PipelineError') e.steps = steps;
+            throw e;
+        }
+
+        return { value: value, steps: steps, duration: defaultScheduler.now() - start };
+    };
+
+
+/* Lazy sequences
+ *
+ * Every collection function above builds its whole result before
+ * returning it. A lazy sequence instead describes how to produce
+ * its items and produces them only when a consumer asks. `map`,
+ * `filter` and `not` on a sequence return new sequences; `find`,
+ * `any`, `all`, `first` and `isEmpty` pull only as many items as
+ * they need; `toArray`, `reduce` and `len` pull everything.
+ * --------------------------------------------------------------- */
+
+
+    // `Seq` wraps a single function, `generate`, which returns a
+    // fresh `next` function every time the sequence is walked. Each
+    // call to `next` returns a `{ done, value }` pair, the same shape
+    // as an ES2015 iterator. Because a sequence is a recipe rather
+    // than a cursor, walking it twice starts over from the beginning.
+    //
+    // `Seq` is private. Build sequences with `lazy`, `range` and
+    // `iterate`.
+    var Seq = function(generate) {
+        this.generate = generate;
+    };
+
+
+    // `done` and `yielded` build the pairs returned by `next`.
+    var done = { done: true, value: undefined };
+
+    var yielded = function(value) {
+        return { done: false, value: value };
+    };
+
+
+    var isSeq = g_.isSeq = function(obj) {
+        return obj instanceof Seq;
+    };
+
+
+    // Sequences are ES2015 iterables too, so they can be spread or
+    // used in `for...of` where the environment supports it.
+    if (iteratorSymbol) {
+        Seq.prototype[iteratorSymbol] = function() {
+            return { next: this.generate() };
+        };
+    }
+
+
+    // `lazy` wraps a collection in a sequence. Nothing is copied;
+    // the collection is read as the sequence is walked. Like `each`,
+    // it yields the values of keyed collections. A generator can
+    // only be walked once, so neither can a sequence built on one.
+    var lazy = g_.lazy = function(coll) {
+        if ( isSeq(coll) ) return coll;
+
+        return new Seq(function() {
+            var i    = 0,
+                ks   = null,
+                iter = null;
+
+            if ( isKeyed(coll) ) {
+                iter = coll.values();
+            } else if ( !isIndexed(coll) && isIterable(coll) ) {
+                iter = coll[iteratorSymbol]();
+            } else if ( !isIndexed(coll) ) {
+                ks = keys(coll);
+            }
+
+            return function() {
+                if (iter) return iter.next();
+                if (ks) {
+                    return i < ks.length ? yielded(coll[ks[i++]]) : done;
+                }
+                return i < coll.length ? yielded(coll[i++]) : done;
+            };
+        });
+    };
+
+
+    // `iterate` returns the infinite sequence `seed`, `func(seed)`,
+    // `func(func(seed))` and so on.
+    var iterate = g_.iterate = function(func, seed) {
+        return new Seq(function() {
+            var started = false,
+                curr    = seed;
+
+            return function() {
+                if (started) {
+                    curr = func(curr);
+                }
+                started = true;
+                return yielded(curr);
+            };
+        });
+    };
+
+
+    // `lazyMap` and `lazyFilter` are the sequence halves of `map`
+    // and `filter`. Each wraps the `next` of the sequence beneath it.
+    var lazyMap = function(seq, func) {
+        return new Seq(function() {
+            var next = seq.generate(),
+                i    = 0;
+
+            return function() {
+                var step = next();
+                return step.done ? done : yielded( func(step.value, i++) );
+            };
+        });
+    };
+
+
+    var lazyFilter = function(seq, pred) {
+        return new Seq(function() {
+            var next = seq.generate(),
+                i    = 0;
+
+            return function() {
+                var step = next();
+                while ( !step.done && !pred(step.value, i++) ) {
+                    step = next();
+                }
+                return step;
+            };
+        });
+    };
+
+
+    // `take` returns the first `n` items of a collection. On a
+    // sequence the result is another sequence, and it stops pulling
+    // from its source after the `n`th item. This is how an infinite
+    // sequence is made finite:
+    //
+    // g_.toArray( g_.take(g_.filter(g_.range(2, Infinity), isPrime), 10) );
+    // => [2, 3, 5, 7, 11, 13, 17, 19, 23, 29]
+    //
+    // Called with only a count, `take` returns a transducer.
+    var take = g_.take = function(coll, n) {
+        if (arguments.length === 1) return taking(coll);
+        if ( !isSeq(coll) ) return toArray( take(lazy(coll), n) );
+
+        return new Seq(function() {
+            var next  = coll.generate(),
+                count = 0;
+
+            return function() {
+                if (count >= n) return done;
+                count++;
+                return next();
+            };
+        });
+    };
+
+
+    // `drop` returns every item after the first `n`.
+    var drop = g_.drop = function(coll, n) {
+        if ( !isSeq(coll) ) return toArray( drop(lazy(coll), n) );
+
+        return new Seq(function() {
+            var next    = coll.generate(),
+                dropped = false;
+
+            return function() {
+                var i;
+                if (!dropped) {
+                    dropped = true;
+                    for (i = 0; i < n; i++) {
+                        if ( next().done ) return done;
+                    }
+                }
+                return next();
+            };
+        });
+    };
+
+
+    // `takeWhile` returns items for as long as `pred` holds. Once it
+    // fails, the sequence is over, even if later items would pass.
+    var takeWhile = g_.takeWhile = function(coll, pred) {
+        if ( !isSeq(coll) ) return toArray( takeWhile(lazy(coll), pred) );
+
+        return new Seq(function() {
+            var next     = coll.generate(),
+                finished = false;
+
+            return function() {
+                var step = finished ? done : next();
+                if ( step.done || !pred(step.value) ) {
+                    finished = true;
+                    return done;
+                }
+                return step;
+            };
+        });
+    };
+
+
+    // `dropWhile` skips items for as long as `pred` holds and returns
+    // the rest, starting with the first item that fails.
+    var dropWhile = g_.dropWhile = function(coll, pred) {
+        if ( !isSeq(coll) ) return toArray( dropWhile(lazy(coll), pred) );
+
+        return new Seq(function() {
+            var next    = coll.generate(),
+                dropped = false;
+
+            return function() {
+                var step = next();
+                if (!dropped) {
+                    while ( !step.done && pred(step.value) ) {
+                        step = next();
+                    }
+                    dropped = true;
+                }
+                return step;
+            };
+        });
+    };
+
+
+/* Transducers
+ *
+ * `pipeline(coll, mapStep, filterStep)` builds a whole array at
+ * every step. A transducer is a transformation that knows nothing
+ * about collections. It takes a reducing function--the kind passed
+ * to `reduce`--and returns a new reducing function that does its
+ * work before handing each item on. Composing transducers stacks
+ * that work up, so a single `reduce` does all of it at once with
+ * no intermediate arrays.
+ *
+ * A reducing function produced by a transducer can also be called
+ * with a single argument, the final result, once the input has run
+ * out. Most steps just pass this on; `partitionBy` uses it to flush
+ * its last partition.
+ * --------------------------------------------------------------- */
+
+
+    // `Reduced` wraps the value a reducing function wants to stop
+    // with. `reduce` checks for it after every step. Like `Seq`, the
+    // constructor is private.
+    var Reduced = function(val) {
+        this.val = val;
+    };
+
+
+    var reduced = g_.reduced = function(val) {
+        return new Reduced(val);
+    };
+
+
+    var isReduced = g_.isReduced = function(val) {
+        return val instanceof Reduced;
+    };
+
+
+    // `ensureReduced` and `unreduced` are private. The first avoids
+    // wrapping a value twice when a step further down the chain has
+    // already asked to stop; the second is for completion, which
+    // must always see the plain value.
+    var ensureReduced = function(val) {
+        return isReduced(val) ? val : reduced(val);
+    };
+
+
+    var unreduced = function(val) {
+        return isReduced(val) ? val.val : val;
+    };
+
+
+    // `completing` is private. It lets `transduce` accept an ordinary
+    // two-argument reducing function such as `function(a, b) { return
+    // a + b; }` by giving it a completion step that does nothing.
+    var completing = function(rf) {
+        return function(result, item) {
+            if (arguments.length === 1) return result;
+            return rf(result, item);
+        };
+    };
+
+
+    // `transduce` reduces `coll` with `rf` after transforming `rf`
+    // with `xform`. For example:
+    //
+    // var xform = g_.compose( g_.filter(isOdd), g_.map(square), g_.take(2) );
+    // g_.transduce(xform, function(a, b) { return a + b; }, 0, [1, 2, 3, 4, 5]);
+    // => 10
+    //
+    // Note that composed transducers apply left to right, the
+    // reverse of `compose` on ordinary functions, because each one
+    // wraps the reducing function of the one after it.
+    var transduce = g_.transduce = function(xform, rf, seed, coll) {
+        var xrf = xform( completing(rf) );
+        return xrf( reduce(coll, xrf, seed) );
+    };
+
+
+    // `into` pours `from` through `xform` and into a copy of `to`,
+    // which may be an array or an object. Items poured into an
+    // object must be `[key, value]` pairs. `xform` is optional.
+    //
+    // `to` may also be a persistent vector or hash map, which is
+    // filled through a transient.
+    var into = g_.into = function(to, xform, from) {
+        var objTo = !isIndexed(to),
+            t;
+
+        if (arguments.length === 2) {
+            from  = xform;
+            xform = identity;
+        }
+        if ( isPersistent(to) ) {
+            t = transient(to);
+            transduce(xform, function(result, item) {
+                return isVector(to) ? t.conj(item) : t.assoc(item[0], item[1]);
+            }, t, from);
+            return persistent(t);
+        }
+        // `result` is a copy, so pushing onto it mutates nothing the
+        // caller can see.
+        return transduce(xform, function(result, item) {
+            if (objTo) {
+                putKey( result, item[0], item[1] );
+            } else {
+                result.push(item);
+            }
+            return result;
+        }, objTo ? mixin(to) : toArray(to), from);
+    };
+
+
+    // `mapping`, `filtering`, `removing` and `taking` are private.
+    // They are the transducers returned by `map`, `filter`, `remove`
+    // and `take` when those are called without a collection.
+    var mapping = function(func) {
+        return function(rf) {
+            return function(result, item) {
+                if (arguments.length === 1) return rf(result);
+                return rf(result, func(item));
+            };
+        };
+    };
+
+
+    var filtering = function(pred) {
+        return function(rf) {
+            return function(result, item) {
+                if (arguments.length === 1) return rf(result);
+                return pred(item) ? rf(result, item) : result;
+            };
+        };
+    };
+
+
+    var removing = function(pred) {
+        return filtering(function(item) {
+            return !pred(item);
+        });
+    };
+
+
+    // `taking` keeps its count in the closure created when the
+    // transducer is applied to a reducing function, so each call to
+    // `transduce` starts counting from zero.
+    var taking = function(n) {
+        return function(rf) {
+            var taken = 0;
+
+            return function(result, item) {
+                if (arguments.length === 1) return rf(result);
+                if (taken < n) {
+                    taken++;
+                    result = rf(result, item);
+                }
+                return taken >= n ? ensureReduced(result) : result;
+            };
+        };
+    };
+
+
+    // `dedupe` drops items equal to the item just before them. Called
+    // with no arguments, it returns a transducer.
+    var dedupe = g_.dedupe = function(coll) {
+        if (arguments.length === 0) {
+            return function(rf) {
+                var prev,
+                    started = false;
+
+                return function(result, item) {
+                    if (arguments.length === 1) return rf(result);
+                    if ( started && isEqual(prev, item) ) return result;
+                    started = true;
+                    prev    = item;
+                    return rf(result, item);
+                };
+            };
+        }
+        return into([], dedupe(), coll);
+    };
+
+
+    // `partitionBy` splits a collection into arrays of consecutive
+    // items for which `func` returns the same value:
+    //
+    // g_.partitionBy([1, 3, 2, 4, 5], isOdd);
+    // => [[1, 3], [2, 4], [5]]
+    //
+    // Unlike `groupBy`, items with the same value that are not next
+    // to each other stay apart. `func` may also be a key, as for
+    // `groupBy`. Called with only a function, it returns a transducer.
+    var partitionBy = g_.partitionBy = function(coll, func) {
+        if (arguments.length === 1) {
+            func = keyFn(coll);
+            return function(rf) {
+                var buffer = [],
+                    last;
+
+                return function(result, item) {
+                    var key;
+
+                    if (arguments.length === 1) {
+                        if (buffer.length) {
+                            result = unreduced( rf(result, buffer) );
+                            buffer = [];
+                        }
+                        return rf(result);
+                    }
+
+                    key = func(item);
+                    if ( buffer.length && !isEqual(key, last) ) {
+                        result = rf(result, buffer);
+                        buffer = [];
+                        if ( isReduced(result) ) return result;
+                    }
+                    buffer.push(item);
+                    last = key;
+                    return result;
+                };
+            };
+        }
+        return into([], partitionBy(func), coll);
+    };
+
+
+/* Currying
+ *
+ * @Fogus: 'A curried function is one that returns a new function for
+ * every logical argument that it takes.'
+ * --------------------------------------------------------------- */
+
+
+    // `__` is the placeholder. Passed to a curried or partially
+    // applied function, it holds a position open to be filled by a
+    // later call:
+    //
+    // var half = g_.curry(divide)(g_.__, 2);
+    // half(10);
+    // => 5
+    var __ = g_.__ = {};
+
+
+    // `withLength` is private. A function's `length` is its declared
+    // arity, and functions returned by `curry` and friends should
+    // report how many arguments they still expect. Older engines do
+    // not allow `length` to be redefined; there, it stays 0.
+    var withLength = function(n, func) {
+        try {
+            Object.defineProperty(func, 'length', { value: n });
+        } catch (e) {}
+        return func;
+    };
+
+
+    // `mergeArgs` is private. It fills the placeholders in `received`
+    // with `args`, in order, and appends whatever is left over.
+    var mergeArgs = function(received, args) {
+        var result  = [],
+            argsIdx = 0,
+            i       = 0;
+
+        for ( ; i < received.length; i++) {
+            if (received[i] === __ && argsIdx < args.length) {
+                result.push( args[argsIdx++] );
+            } else {
+                result.push( received[i] );
+            }
+        }
+        for ( ; argsIdx < args.length; argsIdx++) {
+            result.push( args[argsIdx] );
+        }
+
+        return result;
+    };
+
+
+    // `countArgs` is private. It counts the arguments in `args` that
+    // are not placeholders.
+    var countArgs = function(args) {
+        return filter(args, function(arg) {
+            return arg !== __;
+        }).length;
+    };
+
+
+    // `curryWith` is private. It does the work of `curryN`, carrying
+    // the arguments received so far from one call to the next.
+    var curryWith = function(n, func, received) {
+        var remaining = n - countArgs(received);
+
+        return withLength(remaining > 0 ? remaining : 0, function(/* args */) {
+            var args = mergeArgs( received, toArray(arguments) );
+
+            if (countArgs(args) >= n) {
+                return func.apply(this, args);
+            }
+            return curryWith(n, func, args);
+        });
+    };
+
+
+    // `curryN` curries `func` as though it took `n` arguments. This is
+    // for variadic functions, whose `length` does not say how many
+    // arguments they need.
+    var curryN = g_.curryN = function(n, func) {
+        return curryWith(n, func, []);
+    };
+
+
+    // `curry` takes a function `func` and allows for partial or
+    // full application of its arguments. The curried function keeps
+    // collecting arguments, across as many calls as it takes, until
+    // it has `func.length` of them and then calls `func`. These are
+    // all the same:
+    //
+    // var add3 = g_.curry(function(a, b, c) { return a + b + c; });
+    // add3(1)(2)(3);
+    // add3(1, 2)(3);
+    // add3(1)(2, 3);
+    // add3(1, 2, 3);
+    // => 6
+    //
+    // See also `legacyCurry`.
+    var curry = g_.curry = function(func) {
+        return curryN(func.length, func);
+    };
+
+
+    // `partial` fixes the first arguments of `func`. Placeholders
+    // among them are filled by the arguments of the eventual call.
+    var partial = g_.partial = function(func /*, args */) {
+        var received = tail(arguments);
+
+        return withLength(Math.max(0, func.length - countArgs(received)), function(/* args */) {
+            return func.apply( this, mergeArgs(received, toArray(arguments)) );
+        });
+    };
+
+
+    // `partialRight` fixes the last arguments of `func`.
+    var partialRight = g_.partialRight = function(func /*, args */) {
+        var received = tail(arguments);
+
+        return withLength(Math.max(0, func.length - received.length), function(/* args */) {
+            return func.apply( this, toArray(arguments).concat(received) );
+        });
+    };
+
+
+    // `flip` returns a function that calls `func` with its first two
+    // arguments swapped.
+    var flip = g_.flip = function(func) {
+        return withLength(func.length, function(a, b /*, args */) {
+            var args = toArray(arguments);
+
+            args[0] = b;
+            args[1] = a;
+            return func.apply(this, args);
+        });
+    };
+
+
+    // `uncurry` is the reverse of `curry`. It takes a function that
+    // accepts one argument at a time, `f(a)(b)(c)`, and returns one
+    // that accepts `n` at once, `f(a, b, c)`.
+    var uncurry = g_.uncurry = function(func, n) {
+        return withLength(n, function(/* args */) {
+            var args   = toArray(arguments).slice(0, n),
+                result = func,
+                i      = 0;
+
+            for ( ; i < args.length; i++) {
+                result = result.call(this, args[i]);
+            }
+            return result;
+        });
+    };
+
+
+    // `legacyCurry` takes a function and returns a function
+    // expecting one parameter. It enforces currying, essentially.
+    // See `curry` for a more robust implementation.
+    var legacyCurry = function(func) {
+        return function(arg) {
+            return func(arg);
+        };
+    };
+
+
+/* Function combinators
+ *
+ * @Fogus: 'A higher-order function... takes a function as an argument
+ * [or] returns a function as a result.' These are the small ones
+ * that everything else gets built from.
+ * --------------------------------------------------------------- */
+
+
+    // `compose` returns a function that applies the functions it is
+    // given from right to left. `compose(f, g)(x)` is `f(g(x))`.
+    // Where `pipeline` runs functions against a value now, `compose`
+    // builds a new function to run later. With no functions at all
+    // it returns `identity`, as does `flow`.
+    var compose = g_.compose = function(/* funcs */) {
+        var funcs = toArray(arguments);
+
+        if (!funcs.length) return identity;
+
+        return function(/* args */) {
+            var i      = funcs.length - 1,
+                result = funcs[i].apply(this, arguments);
+
+            for (i--; i >= 0; i--) {
+                result = funcs[i].call(this, result);
+            }
+            return result;
+        };
+    };
+
+
+    // `flow` is `compose` in reading order. `flow(f, g)(x)` is
+    // `g(f(x))`, the order `pipeline` uses.
+    var flow = g_.flow = function(/* funcs */) {
+        return compose.apply( null, toArray(arguments).reverse() );
+    };
+
+
+    // `juxt` returns a function that calls every function it is given
+    // with the same arguments and returns their results in an array.
+    //
+    // g_.juxt(g_.min, g_.max)([3, 1, 2]);
+    // => [1, 3]
+    var juxt = g_.juxt = function(/* funcs */) {
+        var funcs = toArray(arguments);
+
+        return function(/* args */) {
+            var self = this,
+                args = arguments;
+
+            return map(funcs, function(func) {
+                return func.apply(self, args);
+            });
+        };
+    };
+
+
+    // `fnull` guards `func` against missing arguments. Any argument
+    // that does not `exist` is replaced by the default in the same
+    // position. This is @Fogus's.
+    var fnull = g_.fnull = function(func /*, defaults */) {
+        var defaults = tail(arguments);
+
+        return withLength(func.length, function(/* args */) {
+            var args = toArray(arguments),
+                i    = 0;
+
+            for ( ; i < defaults.length; i++) {
+                if ( !exists(args[i]) ) {
+                    args[i] = defaults[i];
+                }
+            }
+            return func.apply(this, args);
+        });
+    };
+
+
+    // `complement` returns a predicate that returns the opposite of
+    // `pred`.
+    var complement = g_.complement = function(pred) {
+        return withLength(pred.length, function(/* args */) {
+            return !pred.apply(this, arguments);
+        });
+    };
+
+
+    // `tap` returns a function that calls `func` for its side effect
+    // and returns its argument unchanged. It is meant for looking
+    // into a pipeline:
+    //
+    // g_.pipeline(coll, step1, g_.tap(console.log), step2);
+    var tap = g_.tap = function(func) {
+        return function(val) {
+            func.call(this, val);
+            return val;
+        };
+    };
+
+
+    // `before` returns a function that calls `func` at most `n - 1`
+    // times. After that it keeps returning the last result.
+    var before = g_.before = function(n, func) {
+        var result;
+
+        return withLength(func.length, function(/* args */) {
+            if (--n > 0) {
+                result = func.apply(this, arguments);
+            }
+            return result;
+        });
+    };
+
+
+    // `once` is `before(2, func)`: `func` runs on the first call, and
+    // every later call returns that first result.
+    var once = g_.once = function(func) {
+        return before(2, func);
+    };
+
+
+    // `after` returns a function that does nothing until it has been
+    // called `n` times, and calls `func` from then on.
+    var after = g_.after = function(n, func) {
+        return withLength(func.length, function(/* args */) {
+            if (--n < 1) {
+                return func.apply(this, arguments);
+            }
+        });
+    };
+
+
+    // `nAry` returns a function that passes only its first `n`
+    // arguments on to `func`. It guards against callbacks that
+    // accept more arguments than you meant to give them:
+    //
+    // g_.map(['1', '2', '3'], parseInt);
+    // => [1, NaN, NaN]
+    // g_.map(['1', '2', '3'], g_.unary(parseInt));
+    // => [1, 2, 3]
+    var nAry = g_.nAry = function(n, func) {
+        return withLength(n, function(/* args */) {
+            return func.apply( this, toArray(arguments).slice(0, n) );
+        });
+    };
+
+
+    var unary = g_.unary = function(func) {
+        return nAry(1, func);
+    };
+
+
+    // `converge` calls each of `funcs` with the same arguments and
+    // passes their results to `combine`.
+    //
+    // var mean = g_.converge(divide, [sum, g_.len]);
+    var converge = g_.converge = function(combine, funcs) {
+        return function(/* args */) {
+            return combine.apply( this, juxt.apply(null, funcs).apply(this, arguments) );
+        };
+    };
+
+
+    // `defaultScheduler` is private. `debounce` and `throttle` read
+    // the clock and set timers through a scheduler, so a test can
+    // pass in its own and control time. A scheduler needs `now`,
+    // `setTimeout` and `clearTimeout`.
+    var defaultScheduler = {
+        now: function() {
+            return new Date().getTime();
+        },
+        setTimeout: function(func, ms) {
+            return setTimeout(func, ms);
+        },
+        clearTimeout: function(id) {
+            clearTimeout(id);
+        }
+    };
+
+
+    // `debounce` returns a function that waits until it has not been
+    // called for `wait` milliseconds and then calls `func` with the
+    // latest arguments. Options:
+    //
+    //   - leading:   call `func` on the first call of a burst too.
+    //                Defaults to false.
+    //   - trailing:  call `func` when the burst ends. Defaults to
+    //                true.
+    //   - scheduler: see `defaultScheduler`.
+    //
+    // The returned function has `cancel`, which drops a pending call,
+    // and `flush`, which makes it now.
+    var debounce = g_.debounce = function(func, wait, options) {
+        var opts    = mixin({ leading: false, trailing: true, scheduler: defaultScheduler }, options),
+            sched   = opts.scheduler,
+            pending = false,
+            timer,
+            lastArgs,
+            lastThis,
+            result,
+            debounced;
+
+        var invoke = function() {
+            var args = lastArgs,
+                self = lastThis;
+
+            lastArgs = lastThis = undefined;
+            result = func.apply(self, args);
+        };
+
+        var expire = function() {
+            pending = false;
+            if (opts.trailing && lastArgs) {
+                invoke();
+            }
+            lastArgs = lastThis = undefined;
+        };
+
+        debounced = function(/* args */) {
+            var callNow = opts.leading && !pending;
+
+            lastArgs = arguments;
+            lastThis = this;
+            if (pending) {
+                sched.clearTimeout(timer);
+            }
+            pending = true;
+            timer   = sched.setTimeout(expire, wait);
+            if (callNow) {
+                invoke();
+            }
+            return result;
+        };
+
+        debounced.cancel = function() {
+            if (pending) {
+                sched.clearTimeout(timer);
+            }
+            pending  = false;
+            lastArgs = lastThis = undefined;
+        };
+
+        debounced.flush = function() {
+            if (pending) {
+                sched.clearTimeout(timer);
+                expire();
+            }
+            return result;
+        };
+
+        return debounced;
+    };
+
+
+    // `throttle` returns a function that calls `func` at most once
+    // every `wait` milliseconds, no matter how often it is called.
+    // It takes the same options as `debounce`, except that `leading`
+    // defaults to true.
+    var throttle = g_.throttle = function(func, wait, options) {
+        var opts    = mixin({ leading: true, trailing: true, scheduler: defaultScheduler }, options),
+            sched   = opts.scheduler,
+            pending = false,
+            last    = null,
+            timer,
+            lastArgs,
+            lastThis,
+            result,
+            throttled;
+
+        var invoke = function() {
+            var args = lastArgs,
+                self = lastThis;
+
+            lastArgs = lastThis = undefined;
+            result = func.apply(self, args);
+        };
+
+        var trailingEdge = function() {
+            pending = false;
+            last    = opts.leading ? sched.now() : null;
+            if (lastArgs) {
+                invoke();
+            }
+        };
+
+        throttled = function(/* args */) {
+            var now = sched.now(),
+                remaining;
+
+            if (last === null && !opts.leading) {
+                last = now;
+            }
+            remaining = last === null ? 0 : wait - (now - last);
+            lastArgs  = arguments;
+            lastThis  = this;
+
+            if (remaining <= 0) {
+                if (pending) {
+                    sched.clearTimeout(timer);
+                    pending = false;
+                }
+                last = now;
+                invoke();
+            } else if (!pending && opts.trailing) {
+                pending = true;
+                timer   = sched.setTimeout(trailingEdge, remaining);
+            }
+            return result;
+        };
+
+        throttled.cancel = function() {
+            if (pending) {
+                sched.clearTimeout(timer);
+            }
+            pending  = false;
+            last     = null;
+            lastArgs = lastThis = undefined;
+        };
+
+        return throttled;
+    };
+
+
+/* Asynchronous functions
+ *
+ * Everything above is synchronous: a `pipeline` step that returns a
+ * Promise hands the Promise, not its value, to the next step. These
+ * functions wait. Each returns a Promise, and each timer they set
+ * goes through a scheduler (see `debounce`), so a test can pass in
+ * its own and control time.
+ * --------------------------------------------------------------- */
+
+
+    // `sleep` is private. It resolves after `ms` milliseconds.
+    var sleep = function(ms, sched) {
+        return new Promise(function(resolve) {
+            sched.setTimeout(resolve, ms);
+        });
+    };
+
+
+    // `attempt` is private. It calls `func` and always returns a
+    // Promise, turning a synchronous throw into a rejection.
+    var attempt = function(func, self, args) {
+        try {
+            return Promise.resolve( func.apply(self, args) );
+        } catch (e) {
+            return Promise.reject(e);
+        }
+    };
+
+
+    // `pipelineAsync` is `pipeline` for steps that may return
+    // Promises. Each step gets the settled value of the one before.
+    var pipelineAsync = g_.pipelineAsync = function(seed /*, args */) {
+        return reduce(
+                    tail(arguments),
+                    function(last, curr) {
+                        return last.then(curr);
+                    },
+                    Promise.resolve(seed));
+    };
+
+
+    // `mapAsync` calls `func`, which may return a Promise, on every
+    // item, and resolves to the results in the order of `coll`, no
+    // matter which finish first. `options.concurrency` caps how many
+    // calls are waiting at once; by default there is no cap. The
+    // first rejection rejects the whole, and no further calls start.
+    var mapAsync = g_.mapAsync = function(coll, func, options) {
+        var limit   = (options && options.concurrency) || Infinity,
+            items   = [],
+            ks      = [],
+            results = [],
+            started = 0,
+            active  = 0,
+            settled = 0;
+
+        each(coll, function(item, key) {
+            items.push(item);
+            ks.push(key);
+        });
+
+        return new Promise(function(resolve, reject) {
+            var failed = false,
+                launch,
+                start;
+
+            start = function(i) {
+                active++;
+                attempt(func, null, [items[i], ks[i]]).then(
+                    function(val) {
+                        results[i] = val;
+                        active--;
+                        settled++;
+                        launch();
+                    },
+                    function(err) {
+                        failed = true;
+                        reject(err);
+                    });
+            };
+
+            launch = function() {
+                if (failed) return;
+                if (settled === items.length) return resolve(results);
+                while (active < limit && started < items.length) {
+                    start(started++);
+                }
+            };
+
+            launch();
+        });
+    };
+
+
+    // `eachAsync` is `mapAsync` for side effects. It resolves to
+    // `undefined` once every call has.
+    var eachAsync = g_.eachAsync = function(coll, func, options) {
+        return mapAsync(coll, func, options).then(function() {
+            return;
+        });
+    };
+
+
+    // `filterAsync` keeps the items for which `pred` resolves to a
+    // truthy value, in their original order. `coll` is walked only
+    // once, so it may be a generator.
+    var filterAsync = g_.filterAsync = function(coll, pred, options) {
+        var items = [],
+            ks    = [];
+
+        each(coll, function(item, key) {
+            items.push(item);
+            ks.push(key);
+        });
+
+        return mapAsync(items, function(item, i) {
+            return pred(item, ks[i]);
+        }, options).then(function(passed) {
+            return filter(items, function(item, i) {
+                return passed[i];
+            });
+        });
+    };
+
+
+    // `reduceAsync` is `reduce` for a `func` that may return a
+    // Promise. Unlike `mapAsync`, it must run one call at a time,
+    // since each needs the result of the last.
+    var reduceAsync = g_.reduceAsync = function(coll, func, seed) {
+        var items = [],
+            ks    = [],
+            start = 0;
+
+        each(coll, function(item, key) {
+            items.push(item);
+            ks.push(key);
+        });
+
+        if (arguments.length < 3) {
+            if (!items.length) return Promise.resolve(coll);
+            seed  = items[0];
+            start = 1;
+        }
+
+        return reduce(range(start, items.length), function(last, i) {
+            return last.then(function(acc) {
+                return func(acc, items[i], ks[i]);
+            });
+        }, Promise.resolve(seed));
+    };
+
+
+    // `retry` returns a function that calls `func` and, if it throws
+    // or rejects, calls it again, waiting longer each time. Options:
+    //
+    //   - retries:     how many times to retry. Defaults to 3.
+    //   - delay:       milliseconds before the first retry. Defaults
+    //                  to 100.
+    //   - factor:      what each wait is multiplied by for the next.
+    //                  Defaults to 2.
+    //   - maxDelay:    the longest wait. Defaults to `Infinity`.
+    //   - shouldRetry: called with the error and the attempt number;
+    //                  return false to give up early.
+    //   - scheduler:   see `debounce`.
+    //
+    // The returned Promise rejects with the last error.
+    var retry = g_.retry = function(func, options) {
+        var opts = mixin({
+                retries:     3,
+                delay:       100,
+                factor:      2,
+                maxDelay:    Infinity,
+                shouldRetry: constant(true),
+                scheduler:   defaultScheduler
+            }, options);
+
+        return function(/* args */) {
+            var self = this,
+                args = arguments;
+
+            var run = function(n) {
+                return attempt(func, self, args)['catch'](function(err) {
+                    var wait;
+
+                    if ( n > opts.retries || !opts.shouldRetry(err, n) ) {
+                        throw err;
+                    }
+                    wait = Math.min(opts.delay * Math.pow(opts.factor, n - 1), opts.maxDelay);
+                    return sleep(wait, opts.scheduler).then(function() {
+                        return run(n + 1);
+                    });
+                });
+            };
+
+            return run(1);
+        };
+    };
+
+
+    // `timeout` returns a function that calls `func` and rejects if
+    // it has not settled within `ms` milliseconds. The error's `name`
+    // is 'TimeoutError'. `options.scheduler` is as for `debounce`.
+    var timeout = g_.timeout = function(func, ms, options) {
+        var sched = (options && options.scheduler) || defaultScheduler;
+
+        return function(/* args */) {
+            var self = this,
+                args = arguments;
+
+            return new Promise(function(resolve, reject) {
+                var timer = sched.setTimeout(function() {
+                    var err = new Error('Timed out after ' + ms + 'ms.');
+                    err.name = 'TimeoutError';
+                    reject(err);
+                }, ms);
+
+                attempt(func, self, args).then(
+                    function(val) {
+                        sched.clearTimeout(timer);
+                        resolve(val);
+                    },
+                    function(err) {
+                        sched.clearTimeout(timer);
+                        reject(err);
+                    });
+            });
+        };
+    };
+
+
+    // `settleAll` waits for every Promise (or plain value) in `coll`
+    // and resolves to a report of each, in order, instead of
+    // rejecting on the first failure:
+    //
+    // => [{ status: 'fulfilled', value: 1 },
+    //     { status: 'rejected',  reason: err }]
+    var settleAll = g_.settleAll = function(coll) {
+        return Promise.all(map(coll, function(item) {
+            return Promise.resolve(item).then(
+                function(value) {
+                    return { status: 'fulfilled', value: value };
+                },
+                function(reason) {
+                    return { status: 'rejected', reason: reason };
+                });
+        }));
+    };
+
+
+/* Paths and lenses
+ *
+ * A path names a place inside a nested structure, either as an
+ * array of keys, `['a', 'b', 0, 'c']`, or as a string, 'a.b[0].c'.
+ * `get` reads the place; `setIn`, `updateIn` and `deleteIn` return a
+ * new structure with the place changed. They copy only the objects
+ * along the path and share everything else with the input, which is
+ * never mutated.
+ *
+ * A lens packages a path (or any getter and setter) as a value that
+ * can be passed around and composed. Called without the data, `view`,
+ * `set` and `over` return a function of it, which makes a `pipeline`
+ * step:
+ *
+ * g_.pipeline(config, g_.over(g_.lensPath('server.port'), inc));
+ * --------------------------------------------------------------- */
+
+
+    // `toPath` turns a string path into an array of keys. Bracketed
+    // numbers become numeric keys; everything else is a string.
+    // Arrays are passed through.
+    //
+    // g_.toPath('a.b[0].c');
+    // => ['a', 'b', 0, 'c']
+    var toPath = g_.toPath = function(path) {
+        var result = [];
+
+        if ( isArray(path) ) return path;
+        if (typeof path === 'number') return [path];
+
+        String(path).replace(/([^.[\]]+)|\[(\d+)\]|\[(["'])(.*?)\3\]/g,
+            function(match, key, index, quote, quoted) {
+                if (index) {
+                    result.push( Number(index) );
+                } else if (quote) {
+                    result.push(quoted);
+                } else {
+                    result.push(key);
+                }
+            });
+
+        return result;
+    };
+
+
+    // `valueAt` is private. It reads one key, through `get` for a
+    // persistent collection and by indexing for anything else.
+    var valueAt = function(obj, key) {
+        return isPersistent(obj) ? obj.get(key) : obj[key];
+    };
+
+
+    // `get` returns the value at `path` in `obj`, or `dflt` if there
+    // is none. It never throws on a missing level.
+    var get = g_.get = function(obj, path, dflt) {
+        var keys = toPath(path),
+            i    = 0;
+
+        for ( ; i < keys.length; i++) {
+            if (obj == null) return dflt;
+            obj = valueAt(obj, keys[i]);
+        }
+
+        return obj === undefined ? dflt : obj;
+    };
+
+
+    // `hasPath` is `has` for paths. Every key along the way must be
+    // an own property.
+    var hasPath = g_.hasPath = function(obj, path) {
+        var keys = toPath(path),
+            i    = 0;
+
+        for ( ; i < keys.length; i++) {
+            if ( obj == null || !has(obj, keys[i]) ) return false;
+            obj = valueAt(obj, keys[i]);
+        }
+
+        return true;
+    };
+
+
+    // `updateAt` is private. It is the recursion behind `updateIn`:
+    // it copies `obj`, replaces the key at `keys[i]` with the
+    // updated child and returns the copy. Missing levels are created,
+    // as arrays if the key is a number and objects otherwise; so is a
+    // level that holds a primitive, which cannot take properties. If
+    // the child comes back unchanged, so does `obj`.
+    var updateAt = function(obj, keys, i, func) {
+        var key = keys[i],
+            child,
+            updated,
+            result;
+
+        if (i === keys.length) return func(obj);
+
+        child   = isObject(obj) ? valueAt(obj, key) : undefined;
+        updated = updateAt(child, keys, i + 1, func);
+        if ( isObject(obj) && updated === child && has(obj, key) ) {
+            return obj;
+        }
+
+        if ( isPersistent(obj) ) {
+            return obj.assoc(key, updated);
+        } else if ( !isObject(obj) ) {
+            result = typeof key === 'number' ? [] : {};
+        } else {
+            result = clone(obj);
+        }
+        result[key] = updated;
+        return result;
+    };
+
+
+    // `updateIn` returns a copy of `obj` with the value at `path`
+    // replaced by `func` of that value.
+    var updateIn = g_.updateIn = function(obj, path, func) {
+        return updateAt(obj, toPath(path), 0, func);
+    };
+
+
+    // `setIn` returns a copy of `obj` with `val` at `path`.
+    var setIn = g_.setIn = function(obj, path, val) {
+        return updateIn(obj, path, constant(val));
+    };
+
+
+    // `deleteIn` returns a copy of `obj` without the value at `path`.
+    // An array loses the element and closes the gap. If there is
+    // nothing at `path`, `obj` itself is returned.
+    var deleteIn = g_.deleteIn = function(obj, path) {
+        var keys    = toPath(path),
+            parent  = keys.slice(0, -1),
+            lastKey = keys[keys.length - 1];
+
+        if ( !keys.length || !hasPath(obj, keys) ) return obj;
+
+        return updateIn(obj, parent, function(container) {
+            var result;
+
+            if ( isPersistent(container) ) return container.dissoc(lastKey);
+
+            result = clone(container);
+            if ( isArray(result) ) {
+                result.splice(lastKey, 1);
+            } else {
+                delete result[lastKey];
+            }
+            return result;
+        });
+    };
+
+
+    // `lens` makes a lens from a getter, `get(obj)`, and a setter,
+    // `set(val, obj)`, which must return a new object rather than
+    // change `obj`.
+    var lens = g_.lens = function(getter, setter) {
+        return { get: getter, set: setter };
+    };
+
+
+    var lensPath = g_.lensPath = function(path) {
+        var keys = toPath(path);
+
+        return lens(
+            function(obj) {
+                return get(obj, keys);
+            },
+            function(val, obj) {
+                return setIn(obj, keys, val);
+            });
+    };
+
+
+    var lensProp = g_.lensProp = function(key) {
+        return lensPath([key]);
+    };
+
+
+    var lensIndex = g_.lensIndex = function(index) {
+        return lensPath([index]);
+    };
+
+
+    // `lensCompose` focuses through each lens in turn, outermost
+    // first. `lensCompose(lensProp('a'), lensIndex(0))` is the same
+    // place as `lensPath('a[0]')`.
+    var lensCompose = g_.lensCompose = function(/* lenses */) {
+        return reduce(toArray(arguments), function(outer, inner) {
+            return lens(
+                function(obj) {
+                    return inner.get( outer.get(obj) );
+                },
+                function(val, obj) {
+                    return outer.set( inner.set(val, outer.get(obj)), obj );
+                });
+        });
+    };
+
+
+    // `view` reads the place `l` focuses on.
+    var view = g_.view = function(l, obj) {
+        if (arguments.length < 2) {
+            return function(obj) {
+                return view(l, obj);
+            };
+        }
+        return l.get(obj);
+    };
+
+
+    // `set` returns a copy of `obj` with `val` in the place `l`
+    // focuses on.
+    var set = g_.set = function(l, val, obj) {
+        if (arguments.length < 3) {
+            return function(obj) {
+                return set(l, val, obj);
+            };
+        }
+        return l.set(val, obj);
+    };
+
+
+    // `over` returns a copy of `obj` with `func` applied to the place
+    // `l` focuses on.
+    var over = g_.over = function(l, func, obj) {
+        if (arguments.length < 3) {
+            return function(obj) {
+                return over(l, func, obj);
+            };
+        }
+        return l.set( func(l.get(obj)), obj );
+    };
+
+
+/* Persistent collections
+ *
+ * `clone` and `mixin` never mutate, but they pay for it by copying
+ * everything, every time. A persistent collection is immutable too,
+ * but an update copies only a handful of small nodes and shares the
+ * rest with the original, so it costs (nearly) O(1) whatever the
+ * size. These are the structures Clojure uses:
+ *
+ *   - a vector is a trie with 32 children per node, indexed by the
+ *     bits of the index, five at a time, plus a `tail` array that
+ *     holds the last (up to) 32 items so that `conj` is cheap.
+ *   - a hash map is a hash array mapped trie (HAMT): the same idea,
+ *     indexed by the bits of each key's hash. Each node stores only
+ *     the children it has, and a 32-bit `bitmap` says which.
+ *
+ * Updates go through `assoc`, `dissoc`, `conj` and `update`, which
+ * also work on arrays and plain objects, and reads through `get`.
+ * Both collections work with `each` and everything built on it.
+ *
+ * A transient is a private, mutable copy for building a collection
+ * in one batch. It edits nodes it has already copied in place, then
+ * `persistent` seals it. See `withMutations`.
+ * --------------------------------------------------------------- */
+
+
+    // `bitCount` is private. It counts the set bits in a 32-bit
+    // integer. In a HAMT node, the position of a child among the
+    // children the node actually has is the number of bits set
+    // below that child's bit.
+    var bitCount = function(n) {
+        n = n - ((n >>> 1) & 0x55555555);
+        n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+        return ((n + (n >>> 4) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+    };
+
+
+    // `hashOf` is private. It hashes `argsKey(key)`, so keys hash the
+    // way `memoize` compares them: primitives by value and objects by
+    // identity. Keys are compared SameValueZero, so `-0` hashes as
+    // `0` here, though `memoize` keeps them apart.
+    var hashOf = function(key) {
+        var str = argsKey(key === 0 ? 0 : key),
+            h   = 0,
+            i   = 0;
+
+        for ( ; i < str.length; i++) {
+            h = (31 * h + str.charCodeAt(i)) | 0;
+        }
+        return h;
+    };
+
+
+    // `keyEquals` is private. Keys are the same if they are `===`, or
+    // both `NaN`, the rule a `Map` uses.
+    var keyEquals = function(a, b) {
+        return a === b || (a !== a && b !== b);
+    };
+
+
+    // `checkEdit` is private. A transient is dead once `persistent`
+    // has been called on it, because the collection it returned
+    // shares its nodes.
+    var checkEdit = function(t) {
+        if (!t.edit) {
+            throw new Error('Transient used after `persistent` was called.');
+        }
+    };
+
+
+    /* Vector
+     * ------ */
+
+    // Vector nodes are `{ edit, array }`. `edit` is the token of the
+    // transient that created the node, or `null`. A transient may
+    // change a node in place only if the node carries its token.
+    var vnode = function(edit, array) {
+        return { edit: edit, array: array };
+    };
+
+
+    var editableVNode = function(node, edit) {
+        if (edit && node.edit === edit) return node;
+        return vnode( edit, node.array.slice(0) );
+    };
+
+
+    var EMPTY_VNODE = vnode(null, []);
+
+
+    // `tailOff` is the index of the first item in the tail.
+    var tailOff = function(size) {
+        return size < 32 ? 0 : ((size - 1) >>> 5) << 5;
+    };
+
+
+    // `arrayFor` returns the leaf array that holds index `i`.
+    var arrayFor = function(vec, i) {
+        var node  = vec.root,
+            level = vec.shift;
+
+        if ( i >= tailOff(vec.size) ) return vec.tail;
+        for ( ; level > 0; level -= 5) {
+            node = node.array[(i >>> level) & 31];
+        }
+        return node.array;
+    };
+
+
+    // `newPath` wraps `node` in single-child nodes until it reaches
+    // `level`.
+    var newPath = function(level, node, edit) {
+        if (level === 0) return node;
+        return vnode( edit, [newPath(level - 5, node, edit)] );
+    };
+
+
+    // `pushTail` adds a full tail to the trie as its last leaf.
+    var pushTail = function(size, level, parent, tailNode, edit) {
+        var result = editableVNode(parent, edit),
+            subidx = ((size - 1) >>> level) & 31,
+            child  = parent.array[subidx];
+
+        if (level === 5) {
+            result.array[subidx] = tailNode;
+        } else if (child) {
+            result.array[subidx] = pushTail(size, level - 5, child, tailNode, edit);
+        } else {
+            result.array[subidx] = newPath(level - 5, tailNode, edit);
+        }
+        return result;
+    };
+
+
+    // `popTail` removes the trie's last leaf, returning `null` if that
+    // leaves `node` empty.
+    var popTail = function(size, level, node) {
+        var subidx = ((size - 2) >>> level) & 31,
+            child,
+            result;
+
+        if (level > 5) {
+            child = popTail(size, level - 5, node.array[subidx]);
+            if (child === null && subidx === 0) return null;
+            result = vnode( null, node.array.slice(0, subidx + 1) );
+            if (child === null) {
+                result.array.length = subidx;
+            } else {
+                result.array[subidx] = child;
+            }
+            return result;
+        }
+        if (subidx === 0) return null;
+        return vnode( null, node.array.slice(0, subidx) );
+    };
+
+
+    // `doAssoc` copies the path down to index `i` and sets it.
+    var doAssoc = function(level, node, i, val, edit) {
+        var result = editableVNode(node, edit),
+            subidx;
+
+        if (level === 0) {
+            result.array[i & 31] = val;
+        } else {
+            subidx = (i >>> level) & 31;
+            result.array[subidx] = doAssoc(level - 5, node.array[subidx], i, val, edit);
+        }
+        return result;
+    };
+
+
+    var checkIndex = function(vec, i) {
+        if (i < 0 || i > vec.size || i % 1 !== 0) {
+            throw new RangeError('Index ' + i + ' is out of bounds.');
+        }
+    };
+
+
+    // `PersistentVector` and `TransientVector` are private, like
+    // `Seq`. Build vectors with `vector`.
+    var PersistentVector = function(size, shift, root, tail) {
+        this.size  = size;
+        this.shift = shift;
+        this.root  = root;
+        this.tail  = tail;
+    };
+
+
+    var EMPTY_VECTOR = new PersistentVector(0, 5, EMPTY_VNODE, []);
+
+
+    PersistentVector.prototype.get = function(i, notFound) {
+        if ( !this.has(i) ) return notFound;
+        return arrayFor(this, i)[i & 31];
+    };
+
+
+    PersistentVector.prototype.has = function(i) {
+        return typeof i === 'number' && i >= 0 && i < this.size && i % 1 === 0;
+    };
+
+
+    PersistentVector.prototype.conj = function(val) {
+        var size  = this.size,
+            shift = this.shift,
+            root,
+            tailNode;
+
+        if (size - tailOff(size) < 32) {
+            return new PersistentVector( size + 1, shift, this.root, this.tail.concat([val]) );
+        }
+
+        // The tail is full: it becomes a leaf of the trie, and `val`
+        // starts a new tail. If the trie is full too, it grows a new
+        // root.
+        tailNode = vnode(null, this.tail);
+        if ( (size >>> 5) > (1 << shift) ) {
+            root   = vnode( null, [this.root, newPath(shift, tailNode, null)] );
+            shift += 5;
+        } else {
+            root = pushTail(size, shift, this.root, tailNode, null);
+        }
+        return new PersistentVector(size + 1, shift, root, [val]);
+    };
+
+
+    // `assoc` replaces the item at `i`. Assoc-ing at `size` is `conj`.
+    PersistentVector.prototype.assoc = function(i, val) {
+        var tail;
+
+        checkIndex(this, i);
+        if (i === this.size) return this.conj(val);
+        if ( i >= tailOff(this.size) ) {
+            tail = this.tail.slice(0);
+            tail[i & 31] = val;
+            return new PersistentVector(this.size, this.shift, this.root, tail);
+        }
+        return new PersistentVector( this.size, this.shift,
+            doAssoc(this.shift, this.root, i, val, null), this.tail );
+    };
+
+
+    // `pop` removes the last item.
+    PersistentVector.prototype.pop = function() {
+        var size  = this.size,
+            shift = this.shift,
+            root;
+
+        if (size <= 1) return EMPTY_VECTOR;
+        if (size - tailOff(size) > 1) {
+            return new PersistentVector( size - 1, shift, this.root, this.tail.slice(0, -1) );
+        }
+
+        // The tail is about to be empty, so the trie's last leaf
+        // becomes the tail. If that leaves the root with one child,
+        // the child becomes the root.
+        root = popTail(size, shift, this.root) || EMPTY_VNODE;
+        if (shift > 5 && root.array.length === 1) {
+            root   = root.array[0];
+            shift -= 5;
+        }
+        return new PersistentVector( size - 1, shift, root, arrayFor(this, size - 2) );
+    };
+
+
+    // `dissoc` removes the item at `i`. Removing the last item is a
+    // cheap `pop`; anywhere else, the items after `i` must all move
+    // down, so the vector is rebuilt.
+    PersistentVector.prototype.dissoc = function(i) {
+        var result;
+
+        if ( !this.has(i) ) return this;
+        if (i === this.size - 1) return this.pop();
+
+        result = EMPTY_VECTOR.asTransient();
+        each(this, function(val, j) {
+            if (j !== i) result.conj(val);
+        });
+        return result.persistent();
+    };
+
+
+    PersistentVector.prototype.update = function(i, func) {
+        return this.assoc( i, func(this.get(i)) );
+    };
+
+
+    PersistentVector.prototype.asTransient = function() {
+        return new TransientVector( this.size, this.shift, this.root, this.tail.slice(0) );
+    };
+
+
+    if (iteratorSymbol) {
+        PersistentVector.prototype[iteratorSymbol] = function() {
+            var vec = this,
+                i   = 0,
+                array;
+
+            return {
+                next: function() {
+                    if (i >= vec.size) return done;
+                    if ( (i & 31) === 0 ) array = arrayFor(vec, i);
+                    return yielded( array[i++ & 31] );
+                }
+            };
+        };
+    }
+
+
+    // A `TransientVector` has the same shape as a persistent one,
+    // but its tail is its own, and it changes its fields in place.
+    var TransientVector = function(size, shift, root, tail) {
+        this.size  = size;
+        this.shift = shift;
+        this.root  = root;
+        this.tail  = tail;
+        this.edit  = {};
+    };
+
+
+    TransientVector.prototype.get = PersistentVector.prototype.get;
+    TransientVector.prototype.has = PersistentVector.prototype.has;
+
+
+    TransientVector.prototype.conj = function(val) {
+        var size = this.size,
+            tailNode;
+
+        checkEdit(this);
+        if (size - tailOff(size) < 32) {
+            this.tail.push(val);
+        } else {
+            tailNode = vnode(this.edit, this.tail);
+            if ( (size >>> 5) > (1 << this.shift) ) {
+                this.root   = vnode( this.edit, [this.root, newPath(this.shift, tailNode, this.edit)] );
+                this.shift += 5;
+            } else {
+                this.root = pushTail(size, this.shift, this.root, tailNode, this.edit);
+            }
+            this.tail = [val];
+        }
+        this.size++;
+        return this;
+    };
+
+
+    TransientVector.prototype.assoc = function(i, val) {
+        checkEdit(this);
+        checkIndex(this, i);
+        if (i === this.size) return this.conj(val);
+        if ( i >= tailOff(this.size) ) {
+            this.tail[i & 31] = val;
+        } else {
+            this.root = doAssoc(this.shift, this.root, i, val, this.edit);
+        }
+        return this;
+    };
+
+
+    TransientVector.prototype.persistent = function() {
+        checkEdit(this);
+        this.edit = null;
+        return new PersistentVector(this.size, this.shift, this.root, this.tail);
+    };
+
+
+    /* Hash map
+     * -------- */
+
+    // HAMT nodes come in three kinds. A bitmap node holds up to 32
+    // children, each a leaf or another node. A leaf is one key and
+    // value. A collision node holds leaves whose keys have exactly
+    // the same hash, which is rare but must be allowed for.
+    var bnode = function(edit, bitmap, children) {
+        return { edit: edit, bitmap: bitmap, children: children };
+    };
+
+
+    var cnode = function(edit, hash, children) {
+        return { edit: edit, hash: hash, children: children, collision: true };
+    };
+
+
+    var leaf = function(hash, key, val) {
+        return { hash: hash, key: key, val: val, leaf: true };
+    };
+
+
+    var editableHNode = function(node, edit) {
+        if (edit && node.edit === edit) return node;
+        if (node.collision) {
+            return cnode( edit, node.hash, node.children.slice(0) );
+        }
+        return bnode( edit, node.bitmap, node.children.slice(0) );
+    };
+
+
+    var EMPTY_HNODE = bnode(null, 0, []);
+
+
+    // `hamtFind` returns the leaf for `key`, if there is one.
+    var hamtFind = function(node, shift, hash, key) {
+        var bit,
+            child,
+            i;
+
+        while (node) {
+            if (node.collision) {
+                for (i = 0; i < node.children.length; i++) {
+                    if ( keyEquals(node.children[i].key, key) ) return node.children[i];
+                }
+                return;
+            }
+
+            bit = 1 << ((hash >>> shift) & 31);
+            if ( !(node.bitmap & bit) ) return;
+
+            child = node.children[ bitCount(node.bitmap & (bit - 1)) ];
+            if (child.leaf) {
+                return keyEquals(child.key, key) ? child : undefined;
+            }
+            node   = child;
+            shift += 5;
+        }
+    };
+
+
+    // `mergeLeaves` builds the smallest subtree that holds two leaves
+    // whose hashes agree up to `shift`.
+    var mergeLeaves = function(shift, a, b, edit) {
+        var ia,
+            ib;
+
+        if (a.hash === b.hash) return cnode(edit, a.hash, [a, b]);
+
+        ia = (a.hash >>> shift) & 31;
+        ib = (b.hash >>> shift) & 31;
+        if (ia === ib) {
+            return bnode( edit, 1 << ia, [mergeLeaves(shift + 5, a, b, edit)] );
+        }
+        return bnode( edit, (1 << ia) | (1 << ib), ia < ib ? [a, b] : [b, a] );
+    };
+
+
+    // `hamtAssoc` returns `node` with `newLeaf` in it, or `node`
+    // itself if nothing changed. `box.added` records whether the key
+    // is new, so the map can keep count.
+    var hamtAssoc = function(node, shift, newLeaf, edit, box) {
+        var bit,
+            idx,
+            child,
+            updated,
+            result,
+            i;
+
+        if (node.collision) {
+            if (node.hash !== newLeaf.hash) {
+                // The new key belongs beside this node, not in it, so
+                // it moves down into a bitmap node of its own.
+                return hamtAssoc( bnode(edit, 1 << ((node.hash >>> shift) & 31), [node]),
+                                  shift, newLeaf, edit, box );
+            }
+            for (i = 0; i < node.children.length; i++) {
+                if ( keyEquals(node.children[i].key, newLeaf.key) ) {
+                    if (node.children[i].val === newLeaf.val) return node;
+                    result = editableHNode(node, edit);
+                    result.children[i] = newLeaf;
+                    return result;
+                }
+            }
+            box.added = true;
+            result = editableHNode(node, edit);
+            result.children.push(newLeaf);
+            return result;
+        }
+
+        bit = 1 << ((newLeaf.hash >>> shift) & 31);
+        idx = bitCount(node.bitmap & (bit - 1));
+
+        if ( !(node.bitmap & bit) ) {
+            box.added = true;
+            result = editableHNode(node, edit);
+            result.children.splice(idx, 0, newLeaf);
+            result.bitmap |= bit;
+            return result;
+        }
+
+        child = node.children[idx];
+        if (child.leaf) {
+            if ( keyEquals(child.key, newLeaf.key) ) {
+                if (child.val === newLeaf.val) return node;
+                updated = newLeaf;
+            } else {
+                box.added = true;
+                updated = mergeLeaves(shift + 5, child, newLeaf, edit);
+            }
+        } else {
+            updated = hamtAssoc(child, shift + 5, newLeaf, edit, box);
+            if (updated === child) return node;
+        }
+
+        result = editableHNode(node, edit);
+        result.children[idx] = updated;
+        return result;
+    };
+
+
+    // `hamtDissoc` returns `node` without `key`: `node` itself if the
+    // key was not there, `null` if nothing is left, and a lone leaf
+    // in place of any node below the root that is down to one leaf,
+    // so the trie never grows deeper than it needs to. A transient
+    // may change `node` in place, so `box.removed` records whether
+    // the key was found.
+    var hamtDissoc = function(node, shift, hash, key, edit, box) {
+        var bit,
+            idx,
+            child,
+            updated,
+            result,
+            i;
+
+        if (node.collision) {
+            for (i = 0; i < node.children.length; i++) {
+                if ( keyEquals(node.children[i].key, key) ) {
+                    box.removed = true;
+                    if (node.children.length === 2) return node.children[1 - i];
+                    result = editableHNode(node, edit);
+                    result.children.splice(i, 1);
+                    return result;
+                }
+            }
+            return node;
+        }
+
+        bit = 1 << ((hash >>> shift) & 31);
+        if ( !(node.bitmap & bit) ) return node;
+
+        idx   = bitCount(node.bitmap & (bit - 1));
+        child = node.children[idx];
+        if (child.leaf) {
+            if ( !keyEquals(child.key, key) ) return node;
+            box.removed = true;
+            updated = null;
+        } else {
+            updated = hamtDissoc(child, shift + 5, hash, key, edit, box);
+            if (!box.removed) return node;
+        }
+
+        if (updated === null) {
+            if (node.bitmap === bit) return null;
+            result = editableHNode(node, edit);
+            result.children.splice(idx, 1);
+            result.bitmap ^= bit;
+        } else {
+            result = editableHNode(node, edit);
+            result.children[idx] = updated;
+        }
+
+        if (shift > 0 && result.children.length === 1 && result.children[0].leaf) {
+            return result.children[0];
+        }
+        return result;
+    };
+
+
+    // `hamtIterator` walks the trie depth first, keeping its place
+    // on a stack, and yields `pick(leaf)` for each leaf.
+    var hamtIterator = function(root, pick) {
+        var stack = [{ children: root.children, i: 0 }];
+
+        return {
+            next: function() {
+                var frame,
+                    child;
+
+                while (stack.length) {
+                    frame = stack[stack.length - 1];
+                    if (frame.i >= frame.children.length) {
+                        stack.pop();
+                        continue;
+                    }
+                    child = frame.children[frame.i++];
+                    if (child.leaf) return yielded( pick(child) );
+                    stack.push({ children: child.children, i: 0 });
+                }
+                return done;
+            }
+        };
+    };
+
+
+    // `PersistentMap` and `TransientMap` are private. Build maps with
+    // `hashMap`.
+    var PersistentMap = function(size, root) {
+        this.size = size;
+        this.root = root;
+    };
+
+
+    var EMPTY_MAP = new PersistentMap(0, EMPTY_HNODE);
+
+
+    PersistentMap.prototype.get = function(key, notFound) {
+        var found = hamtFind(this.root, 0, hashOf(key), key);
+        return found ? found.val : notFound;
+    };
+
+
+    PersistentMap.prototype.has = function(key) {
+        return !!hamtFind(this.root, 0, hashOf(key), key);
+    };
+
+
+    PersistentMap.prototype.assoc = function(key, val) {
+        var box  = { added: false },
+            root = hamtAssoc(this.root, 0, leaf(hashOf(key), key, val), null, box);
+
+        if (root === this.root) return this;
+        return new PersistentMap(this.size + (box.added ? 1 : 0), root);
+    };
+
+
+    PersistentMap.prototype.dissoc = function(key) {
+        var box  = { removed: false },
+            root = hamtDissoc(this.root, 0, hashOf(key), key, null, box);
+
+        if (!box.removed) return this;
+        return new PersistentMap(this.size - 1, root || EMPTY_HNODE);
+    };
+
+
+    PersistentMap.prototype.update = function(key, func) {
+        return this.assoc( key, func(this.get(key)) );
+    };
+
+
+    // `entries`, `keys` and `values` return iterators, as a `Map`'s
+    // do, so `each` can treat a persistent map like a `Map`.
+    PersistentMap.prototype.entries = function() {
+        return hamtIterator(this.root, function(lf) {
+            return [lf.key, lf.val];
+        });
+    };
+
+
+    PersistentMap.prototype.keys = function() {
+        return hamtIterator(this.root, function(lf) {
+            return lf.key;
+        });
+    };
+
+
+    PersistentMap.prototype.values = function() {
+        return hamtIterator(this.root, function(lf) {
+            return lf.val;
+        });
+    };
+
+
+    PersistentMap.prototype.asTransient = function() {
+        return new TransientMap(this.size, this.root);
+    };
+
+
+    if (iteratorSymbol) {
+        PersistentMap.prototype[iteratorSymbol] = PersistentMap.prototype.entries;
+    }
+
+
+    var TransientMap = function(size, root) {
+        this.size = size;
+        this.root = root;
+        this.edit = {};
+    };
+
+
+    TransientMap.prototype.get = PersistentMap.prototype.get;
+    TransientMap.prototype.has = PersistentMap.prototype.has;
+
+
+    TransientMap.prototype.assoc = function(key, val) {
+        var box = { added: false };
+
+        checkEdit(this);
+        this.root = hamtAssoc(this.root, 0, leaf(hashOf(key), key, val), this.edit, box);
+        if (box.added) this.size++;
+        return this;
+    };
+
+
+    TransientMap.prototype.dissoc = function(key) {
+        var box = { removed: false };
+
+        checkEdit(this);
+        this.root = hamtDissoc(this.root, 0, hashOf(key), key, this.edit, box) || EMPTY_HNODE;
+        if (box.removed) this.size--;
+        return this;
+    };
+
+
+    TransientMap.prototype.persistent = function() {
+        checkEdit(this);
+        this.edit = null;
+        return new PersistentMap(this.size, this.root);
+    };
+
+
+    /* Public functions
+     * ---------------- */
+
+    var isVector = g_.isVector = function(obj) {
+        return obj instanceof PersistentVector;
+    };
+
+
+    var isHashMap = g_.isHashMap = function(obj) {
+        return obj instanceof PersistentMap;
+    };
+
+
+    var isPersistent = g_.isPersistent = function(obj) {
+        return isVector(obj) || isHashMap(obj);
+    };
+
+
+    // `vector` returns a persistent vector of the values in `coll`,
+    // or an empty one.
+    var vector = g_.vector = function(coll) {
+        var result = EMPTY_VECTOR.asTransient();
+
+        each(coll, function(val) {
+            result.conj(val);
+        });
+        return result.persistent();
+    };
+
+
+    // `hashMap` returns a persistent map with the entries of `coll`,
+    // which may be a plain object, a `Map`, another hash map or an
+    // array of `[key, value]` pairs.
+    var hashMap = g_.hashMap = function(coll) {
+        var result = EMPTY_MAP.asTransient();
+
+        if ( isIndexed(coll) ) {
+            each(coll, function(pair) {
+                result.assoc(pair[0], pair[1]);
+            });
+        } else {
+            each(coll, function(val, key) {
+                result.assoc(key, val);
+            });
+        }
+        return result.persistent();
+    };
+
+
+    // `assoc` returns a copy of `coll` with `val` at `key`. On a
+    // persistent collection the copy shares structure; on an array or
+    // object it is `setIn` with a one-key path.
+    var assoc = g_.assoc = function(coll, key, val) {
+        if ( isPersistent(coll) ) return coll.assoc(key, val);
+        return setIn(coll, [key], val);
+    };
+
+
+    // `dissoc` returns a copy of `coll` without `key`.
+    var dissoc = g_.dissoc = function(coll, key) {
+        if ( isPersistent(coll) ) return coll.dissoc(key);
+        return deleteIn(coll, [key]);
+    };
+
+
+    // `conj` returns a copy of `coll` with `val` added: at the end of
+    // a vector or array, or, for a hash map, as a `[key, value]` pair.
+    var conj = g_.conj = function(coll, val) {
+        if ( isVector(coll) ) return coll.conj(val);
+        if ( isHashMap(coll) ) return coll.assoc(val[0], val[1]);
+        return toArray(coll).concat([val]);
+    };
+
+
+    // `update` returns a copy of `coll` with the value at `key`
+    // replaced by `func` of that value.
+    var update = g_.update = function(coll, key, func) {
+        if ( isPersistent(coll) ) return coll.update(key, func);
+        return updateIn(coll, [key], func);
+    };
+
+
+    // `transient` and `persistent` convert between the two forms.
+    // A transient supports `get`, `has`, `assoc`, `conj` (vectors)
+    // and `dissoc` (maps), each of which changes it in place.
+    var transient = g_.transient = function(coll) {
+        return coll.asTransient();
+    };
+
+
+    var persistent = g_.persistent = function(t) {
+        return t.persistent();
+    };
+
+
+    // `withMutations` hands a transient copy of `coll` to `func` and
+    // returns the persistent result. The mutation never leaks out:
+    //
+    // g_.withMutations(g_.vector(), function(v) {
+    //     g_.times(1000, function(i) { v.conj(i); });
+    // });
+    var withMutations = g_.withMutations = function(coll, func) {
+        var t = transient(coll);
+
+        func(t);
+        return persistent(t);
+    };
+
+
+/* Utility functions
+ * --------------------------------------------------------------- */
+
+
+    // `identity` returns the value it is passed. This abstraction is
+    // surprisingly important because, since functional programming
+    // focuses on functions rather than values (for configuration),
+    // we often need to pass in `identity`.
+    var identity = g_.identity = function(val) {
+        return val;
+    };
+
+
+
+    // `times` executes `func` `n` times.
+    var times = g_.times = function(n, func) {
+        each(range(n), func);
+        return;
+    };
+
+    // `constant` is configurable, higher-order that returns a function
+    // that always returns the input.
+    var constant = g_.constant = function(constant) {
+        return function() {
+            return constant;
+        };
+    };
+
+
+    // `range` returns an array of size `stop`, with optional
+    // `start` and `step` parameters. Called with no arguments, or
+    // with a `stop` of `Infinity`, it returns an unbounded lazy
+    // sequence instead, since no array could hold the result.
+    var range = g_.range = function(start, stop, step) {
+        var result = [],
+            stop   = arguments[1] || arguments[0],
+            start  = (arguments.length >= 2) ? arguments[0] : 0,
+            step   = arguments[2] || 1,
+            i      = start;
+
+        if (arguments.length === 0 || stop === Infinity) {
+            return iterate(function(n) {
+                return n + step;
+            }, start);
+        }
+
+        for ( ; i < stop; i = i+step) {
+            result.push(i);
+        }
+
+        return result;
+    };
+
+
+    // `objectIds` is private. It gives every object or function that
+    // `memoize` sees a number, so that arguments can be compared by
+    // identity. It is a WeakMap, so memoizing does not keep
+    // arguments alive. Not every engine takes symbols as WeakMap
+    // keys, so they are numbered in `symbolIds` instead.
+    var objectIds = new WeakMap(),
+        symbolIds = new Map(),
+        nextId    = 0;
+
+    var identityOf = function(obj) {
+        var ids = typeof obj === 'symbol' ? symbolIds : objectIds;
+
+        if ( !ids.has(obj) ) ids.set(obj, ++nextId);
+        return ids.get(obj);
+    };
+
+
+    // `argsKey` is private. It is `memoize`'s default key. Primitives
+    // are keyed by type and value, so `1` and `'1'` differ, and `-0`
+    // is apart from `0`; objects, functions and symbols are keyed by
+    // identity, so two symbols with the same description differ.
+    // Strings carry their length so that no string can pass for a
+    // list of arguments.
+    var argsKey = function(/* args */) {
+        return map(arguments, function(arg) {
+            var type = typeof arg;
+
+            if (arg !== null && (type === 'object' || type === 'function' || type === 'symbol')) {
+                return type + ':' + identityOf(arg);
+            }
+            if (type === 'string') {
+                return 'string:' + arg.length + ':' + arg;
+            }
+            if ( Object.is(arg, -0) ) {
+                return 'number:-0';
+            }
+            return type + ':' + String(arg);
+        }).join('|');
+    };
+
+
+    // `memoize` builds a cache of function calls and return values,
+    // and only executes `func` if it has not done so previously. Any
+    // result is cached, including falsy ones. Options:
+    //
+    //   - resolver:  computes the cache key from the arguments.
+    //                Defaults to `argsKey`.
+    //   - maxSize:   the most entries to keep. When the cache is
+    //                full, the least recently used entry goes.
+    //   - ttl:       how many milliseconds an entry stays fresh.
+    //   - scheduler: supplies `now` for `ttl`. See `debounce`.
+    //
+    // The memoized function has a `cache` with `has` and `delete`,
+    // which take the same arguments as the function, `clear`, `size`
+    // and `stats`, which returns counts of hits, misses and
+    // evictions. `has` and `delete` pass their own `this` to the
+    // resolver, as the function does, so for a resolver that reads
+    // `this`, call them as `fn.cache.has.call(obj, ...)`.
+    var memoize = g_.memoize = function(func, options) {
+        var opts     = mixin({ resolver: argsKey, maxSize: Infinity, ttl: Infinity, scheduler: defaultScheduler }, options),
+            entries  = new Map(),
+            counts   = { hits: 0, misses: 0, evictions: 0 },
+            memoized;
+
+        // `lookup` returns the live entry for `key`, dropping it if it
+        // has gone stale.
+        var lookup = function(key) {
+            var entry = entries.get(key);
+
+            if (entry && entry.expires <= opts.scheduler.now()) {
+                entries['delete'](key);
+                counts.evictions++;
+                return;
+            }
+            return entry;
+        };
+
+        memoized = function(/* args */) {
+            var key   = opts.resolver.apply(this, arguments),
+                entry = lookup(key);
+
+            if (entry) {
+                counts.hits++;
+                // A Map remembers insertion order, so moving the entry
+                // to the end keeps the least recently used one first.
+                entries['delete'](key);
+                entries.set(key, entry);
+                return entry.value;
+            }
+
+            counts.misses++;
+            entry = {
+                value:   func.apply(this, arguments),
+                expires: opts.scheduler.now() + opts.ttl
+            };
+            entries.set(key, entry);
+            if (entries.size > opts.maxSize) {
+                entries['delete']( entries.keys().next().value );
+                counts.evictions++;
+            }
+            return entry.value;
+        };
+
+        memoized.cache = {
+            has: function(/* args */) {
+                return !!lookup( opts.resolver.apply(this, arguments) );
+            },
+            'delete': function(/* args */) {
+                return entries['delete']( opts.resolver.apply(this, arguments) );
+            },
+            clear: function() {
+                entries.clear();
+            },
+            size: function() {
+                return entries.size;
+            },
+            stats: function() {
+                return mixin(counts, { size: entries.size });
+            }
+        };
+
+        return memoized;
+    };
+
+
+    // `nth` returns the element located within a collection at the
+    // index provided. @Fogus says, 'While array indexing is a core
+    // behavior in JavaScript, there is no way to grab hold of the
+    // behavior and use it as needed without placing it into a
+    // function.' But now that it is a function, we can do this:
+    //
+    // `function second(coll) { return nth(arr, 1); };`å
+    //
+    // This is powerful because, as @Fogus says, `second` allows us
+    // to 'appropriate the correct behavior of `nth` for a different
+    // but related use case.'
+    var nth = g_.nth = function(coll, index) {
+        if ( !isIndexed(coll) ) return;
+        return coll[index];
+    };
+
+
+    /* Conversion functions
+     * -------------------- */
+
+    // `toArray` turns array-like objects (`arguments`, strings)
+    // into arrays. Any other collection becomes an array of its
+    // values. It also realizes a lazy sequence, so never call it on
+    // one that is infinite.
+    var toArray = g_.toArray = function(args) {
+        var result = [];
+
+        if ( isIndexed(args) ) {
+            return Array.prototype.slice.call(args, 0);
+        }
+        each(args, function(item) {
+            result.push(item);
+        });
+        return result;
+    };
+
+
+    // `toHexidecimal` returns a hexidecimal number, based on the
+    // number `n` applied.
+    var toHexidecimal = g_.toHexidecimal = function(n) {
+        return n.toString(16);
+    };
+
+
+    // `comparator` maps a predicate function to comparator values,
+    // -1, 0, and 1. As a use case, we can now write the following,
+    // since `sort` take an optional comparator argument:
+    //
+    // [2, 3, -1, -6, 0, -108, 42].sort(comparator(isGreaterThan));
+    // => [-108, -6, -1, 0, 2, 3, 42]
+    //
+    // When `pred(x, y)` holds, `x` sorts after `y`. `pred` is asked
+    // both ways round. If it says the same thing both times--neither
+    // is greater, or with `<=` each is--the two are tied and the
+    // comparator returns 0.
+    var comparator = g_.comparator = function(pred) {
+        return function(x, y) {
+            var xy = isTruthy( pred(x, y) ),
+                yx = isTruthy( pred(y, x) );
+
+            if (xy === yx) {
+                return 0;
+            }
+            return xy ? 1 : -1;
+        };
+    };
+
+
+    // `naturalCompare` is private. It compares strings the way people
+    // read them, with runs of digits compared as numbers, so that
+    // 'file9' comes before 'file10'.
+    var naturalCompare = function(a, b) {
+        var as = a.match(/\d+|\D+/g) || [],
+            bs = b.match(/\d+|\D+/g) || [],
+            i  = 0,
+            x, y, diff;
+
+        for ( ; i < as.length && i < bs.length; i++) {
+            x = as[i];
+            y = bs[i];
+            if (x === y) continue;
+            if ( /^\d/.test(x) && /^\d/.test(y) ) {
+                diff = Number(x) - Number(y);
+                if (diff) return diff < 0 ? -1 : 1;
+                return x.length < y.length ? -1 : 1;
+            }
+            return x < y ? -1 : 1;
+        }
+
+        return as.length - bs.length;
+    };
+
+
+    // `comparing` builds a comparator from a key: a property name or
+    // path, a function of the item, or an object with some options:
+    //
+    //   - by:      the key. Defaults to the item itself.
+    //   - order:   'asc' (the default) or 'desc'.
+    //   - nulls:   'last' (the default) or 'first'. `null` and
+    //              `undefined` keys go there whatever the order.
+    //   - natural: compare strings with runs of digits as numbers.
+    //   - locale:  compare strings with `Intl.Collator`, in this locale,
+    //              or `true` for the default one.
+    //   - compare: compare the keys with this comparator instead.
+    //
+    // users.sort( g_.comparing({ by: 'name', locale: 'de' }) );
+    var comparing = g_.comparing = function(spec) {
+        var opts     = mixin( { by: null, order: 'asc', nulls: 'last', natural: false, locale: null, compare: null },
+                              isPlainObject(spec) ? spec : { by: spec } ),
+            keyOf    = keyFn(opts.by),
+            dir      = opts.order === 'desc' ? -1 : 1,
+            nulls    = opts.nulls === 'first' ? -1 : 1,
+            collator = opts.locale && typeof Intl === 'object' ?
+                       new Intl.Collator( opts.locale === true ? undefined : opts.locale, { numeric: !!opts.natural } ) : null;
+
+        var compare = opts.compare || function(a, b) {
+            if ( isString(a) && isString(b) ) {
+                if (collator) return collator.compare(a, b);
+                if (opts.natural) return naturalCompare(a, b);
+            }
+            return a < b ? -1 : a > b ? 1 : 0;
+        };
+
+        return function(x, y) {
+            var a = keyOf(x),
+                b = keyOf(y);
+
+            if ( isNil(a) || isNil(b) ) {
+                return isNil(a) === isNil(b) ? 0 : (isNil(a) ? nulls : -nulls);
+            }
+            return dir * compare(a, b);
+        };
+    };
+
+
+    // `thenComparing` returns a comparator that uses `first`, and each
+    // of the rest in turn to break its ties. Each is a comparator or
+    // anything `comparing` takes:
+    //
+    // people.sort( g_.thenComparing(g_.comparing('last'), 'first') );
+    var thenComparing = g_.thenComparing = function(first /*, rest */) {
+        var comparators = map(arguments, function(spec) {
+            return isFunction(spec) ? spec : comparing(spec);
+        });
+
+        return function(x, y) {
+            var i = 0,
+                result;
+
+            for ( ; i < comparators.length; i++) {
+                result = comparators[i](x, y);
+                if (result) return result;
+            }
+
+            return 0;
+        };
+    };
+
+
+    // `sortBy` returns a sorted copy of `coll`. Each further argument
+    // is a key, as for `comparing`; later keys break ties in earlier
+    // ones, and items still tied keep their order. That last part is
+    // why it does not simply call `sort` with the comparator: engines
+    // have not always sorted stably.
+    //
+    // g_.sortBy(files, { by: 'dir' }, { by: 'name', natural: true },
+    //                  { by: 'size', order: 'desc', nulls: 'first' });
+    var sortBy = g_.sortBy = function(coll /*, keys */) {
+        var specs   = arguments.length > 1 ? tail(arguments) : [identity],
+            compare = thenComparing.apply( null, map(specs, function(spec) {
+                return isFunction(spec) ? comparing(spec) : spec;
+            }) );
+
+        return map(map(toArray(coll), function(item, i) {
+            return { item: item, index: i };
+        }).sort(function(a, b) {
+            return compare(a.item, b.item) || a.index - b.index;
+        }), function(entry) {
+            return entry.item;
+        });
+    };
+
+
+    /* Object functions
+     * ---------------- */
+
+    // `keys` takes an associative array and returns array of keys.
+    // They are its own enumerable keys, like `Object.keys`, so a
+    // property set on `Object.prototype` does not turn up in every
+    // object. Pass `{ allKeys: true }` to include inherited ones, as
+    // a bare `for...in` does.
+    var keys = g_.keys = function(coll, options) {
+        var result = [],
+            key;
+
+        if ( !exists(coll) ) return result;
+        if ( !(options && options.allKeys) ) return Object.keys( Object(coll) );
+
+        for (key in coll) {
+            result.push(key);
+        }
+
+        return result;
+    };
+
+
+    // `values` takes an associative array and returns array of 
+    // values. It takes the same options as `keys`.
+    var vals = g_.vals = function(coll, options) {
+        return map(keys(coll, options), function(key) {
+            return coll[key];
+        });
+    };
+
+
+    // `toPairs` takes an associative array--or a Map--and returns an
+    // array of [key, value] pairs. `fromPairs` goes the other way.
+    //
+    // g_.toPairs({ a: 1, b: 2 });
+    // => [['a', 1], ['b', 2]]
+    var toPairs = g_.toPairs = function(coll) {
+        var result = [];
+
+        each(coll, function(val, key) {
+            result.push([key, val]);
+        });
+
+        return result;
+    };
+
+
+    var fromPairs = g_.fromPairs = function(pairs) {
+        var result = {};
+
+        each(pairs, function(pair) {
+            putKey( result, pair[0], pair[1] );
+        });
+
+        return result;
+    };
+
+
+    // `filterObject` is `filter` for associative arrays: it returns a
+    // new object with the properties for which `pred(value, key)` is
+    // truthy.
+    var filterObject = g_.filterObject = function(obj, pred) {
+        var result = {};
+
+        each(keys(obj), function(key) {
+            if ( pred(obj[key], key) ) putKey( result, key, obj[key] );
+        });
+
+        return result;
+    };
+
+
+    // `keyPredicate` is private. `pick` and `omit` take either a
+    // predicate or some keys, as an array or as separate arguments;
+    // this turns the keys into a predicate too.
+    var keyPredicate = function(args) {
+        var ks;
+
+        if ( isFunction(args[1]) ) return args[1];
+
+        ks = flatten( tail(args), 1 );
+        return function(val, key) {
+            return ks.indexOf(key) !== -1;
+        };
+    };
+
+
+    // `pick` returns a new object with only the given properties.
+    // `omit` returns one with everything else.
+    //
+    // g_.pick({ a: 1, b: 2, c: 3 }, 'a', 'c');  // => { a: 1, c: 3 }
+    // g_.omit({ a: 1, b: 2, c: 3 }, ['a']);     // => { b: 2, c: 3 }
+    // g_.pick({ a: 1, b: 2, c: 3 }, isOdd);     // => { a: 1, c: 3 }
+    var pick = g_.pick = function(obj /*, keys or pred */) {
+        return filterObject( obj, keyPredicate(arguments) );
+    };
+
+
+    var omit = g_.omit = function(obj /*, keys or pred */) {
+        return filterObject( obj, complement( keyPredicate(arguments) ) );
+    };
+
+
+    // `mapValues` returns a new object with the same keys and the
+    // values replaced by `func(value, key)`. `mapKeys` keeps the
+    // values and replaces the keys.
+    //
+    // g_.mapValues({ a: 1, b: 2 }, double);  // => { a: 2, b: 4 }
+    var mapValues = g_.mapValues = function(obj, func) {
+        var result = {};
+
+        each(keys(obj), function(key) {
+            putKey( result, key, func(obj[key], key) );
+        });
+
+        return result;
+    };
+
+
+    var mapKeys = g_.mapKeys = function(obj, func) {
+        var result = {};
+
+        each(keys(obj), function(key) {
+            putKey( result, func(obj[key], key), obj[key] );
+        });
+
+        return result;
+    };
+
+
+    // `invertBy` is `invert` for values that are shared: each value
+    // (or `func(value)`) maps to an array of all the keys that had it.
+    //
+    // g_.invertBy({ a: 1, b: 2, c: 1 });
+    // => { 1: ['a', 'c'], 2: ['b'] }
+    var invertBy = g_.invertBy = function(obj, func) {
+        var result = {};
+
+        each(keys(obj), function(key) {
+            var group = func ? func(obj[key]) : obj[key];
+
+            if ( !has(result, group) ) putKey( result, group, [] );
+            result[group].push(key);
+        });
+
+        return result;
+    };
+
+
+    // `defaults` returns a new object with the properties of `obj`,
+    // and, for any that are `undefined`, the first value among
+    // `sources` that is not. Unlike `mixin`, earlier objects win, and
+    // only own properties are copied, never inherited ones.
+    //
+    // g_.defaults({ a: 1 }, { a: 2, b: 2 }, { c: 3 });
+    // => { a: 1, b: 2, c: 3 }
+    var defaults = g_.defaults = function(obj /*, sources */) {
+        var result = {};
+
+        each(arguments, function(source) {
+            each(keys(source), function(key) {
+                if ( !has(result, key) || result[key] === undefined ) {
+                    putKey( result, key, source[key] );
+                }
+            });
+        });
+
+        return result;
+    };
+
+
+    // `baseClone` is private. It does the work of `clone`,
+    // `cloneDeep` and `cloneWith`. `seen` maps every object already
+    // copied to its copy, so that a structure that refers to itself,
+    // or refers to one object twice, is copied with the same shape.
+    //
+    // Primitives and functions are returned as they are. Objects
+    // keep their prototype, so a class instance is still an instance
+    // of its class, and only own properties are copied.
+    var baseClone = function(val, deep, customizer, seen, key) {
+        var result,
+            tag,
+            copy;
+
+        if (customizer) {
+            result = customizer(val, key);
+            if (result !== undefined) return result;
+        }
+        if (val === null || typeof val !== 'object') return val;
+        // Persistent collections never change, so there is nothing to
+        // protect by copying one.
+        if ( isPersistent(val) ) return val;
+        if ( seen.has(val) ) return seen.get(val);
+
+        copy = function(child, k) {
+            return deep ? baseClone(child, deep, customizer, seen, k) : child;
+        };
+
+        tag = tagOf(val);
+        if (tag === '[object Date]') {
+            result = new Date( val.getTime() );
+        } else if (tag === '[object RegExp]') {
+            result = new RegExp(val.source, /\w*$/.exec(val)[0]);
+            result.lastIndex = val.lastIndex;
+        } else if (tag === '[object Number]' || tag === '[object String]' ||
+                   tag === '[object Boolean]') {
+            result = Object( val.valueOf() );
+        } else if (tag === '[object ArrayBuffer]') {
+            result = val.slice(0);
+        } else if ( typeof ArrayBuffer === 'function' && ArrayBuffer.isView(val) &&
+                    tag !== '[object DataView]' ) {
+            result = new val.constructor(val);
+        } else if ( isKeyed(val) ) {
+            result = new Map();
+            seen.set(val, result);
+            each(val, function(v, k) {
+                result.set( k, copy(v, k) );
+            });
+        } else if (tag === '[object Set]') {
+            result = new Set();
+            seen.set(val, result);
+            each(val, function(v) {
+                result.add( copy(v) );
+            });
+        } else {
+            result = isArray(val) ? [] : Object.create( Object.getPrototypeOf(val) );
+            seen.set(val, result);
+            each(Object.keys(val), function(k) {
+                result[k] = copy(val[k], k);
+            });
+        }
+
+        seen.set(val, result);
+        return result;
+    };
+
+
+    // `clone` creates a shallow copy of a value without mutating the
+    // input. Copies keep their prototype, and primitives are their
+    // own clones.
+    var clone = g_.clone = function(coll) {
+        return baseClone(coll, false, null, new Map());
+    };
+
+
+    // `cloneDeep` copies a value and everything in it: arrays, plain
+    // objects, class instances, Dates, RegExps, Maps, Sets and typed
+    // arrays. Cycles and shared references are preserved. Functions
+    // are not copied.
+    var cloneDeep = g_.cloneDeep = function(coll) {
+        return baseClone(coll, true, null, new Map());
+    };
+
+
+    // `cloneWith` is `cloneDeep` with a `customizer`, which is called
+    // with each value (and its key, below the top level) before it
+    // is copied. If it returns anything other than `undefined`, that
+    // is used as the copy.
+    var cloneWith = g_.cloneWith = function(coll, customizer) {
+        return baseClone(coll, true, customizer, new Map());
+    };
+
+
+    // `mixin` combines the properties of the objects applied without
+    // mutating them. It returns a new object.
+    var mixin = g_.mixin = function(/* args */) {
+        var result = {},
+            prop,
+            args = toArray(arguments);
+
+        each(args, function(obj) {
+            for (prop in obj) {
+                result[prop] = obj[prop];
+            }
+        });
+
+        return result;
+    };
+
+
+    // `legacyExtend`--now `mixin`--extends the `result` object with
+    // the properties with the object(s) applied. @Fogus, 'The
+    // problem of course is that _.extend mutates the first object
+    // in its argument list.' See `mixin` for a purely functional
+    // implementation.
+    var legacyExtend = function(result /*, args */) {
+        var prop,
+            args = tail(arguments);
+
+        each(args, function(obj) {
+            for (prop in obj) {
+                result[prop] = obj[prop];
+            }
+        });
+
+        return result;
+    };
+
+
+    // `mergeStrategies` is private. Each combines two arrays found at
+    // the same place; `merge` is the function merging everything
+    // else, so that items can be merged too.
+    var mergeStrategies = {
+        replace: function(a, b, opts, merge) {
+            return map(b, function(item) {
+                return merge(undefined, item);
+            });
+        },
+        concat: function(a, b, opts, merge) {
+            return map(a.concat(b), function(item) {
+                return merge(undefined, item);
+            });
+        },
+        union: function(a, b, opts, merge) {
+            var keyOf  = keyFn(opts.unionBy),
+                result = mergeStrategies.replace(null, a, opts, merge),
+                ks     = map(result, keyOf);
+
+            each(b, function(item) {
+                var key = keyOf(item),
+                    i   = 0;
+
+                for ( ; i < ks.length; i++) {
+                    if ( isEqual(ks[i], key) ) {
+                        result[i] = merge(result[i], item);
+                        return;
+                    }
+                }
+                ks.push(key);
+                result.push( merge(undefined, item) );
+            });
+
+            return result;
+        }
+    };
+
+
+    // `mergeWith` is `mergeDeep` with a say in conflicts. `strategy`
+    // is either a function, used as `conflict` below, or an object:
+    //
+    //   - arrays:   what to do when both sides have an array:
+    //               'replace' (the default) takes the later one,
+    //               'concat' joins them and 'union' adds the later
+    //               one's items that the earlier lacks. It may also be
+    //               a function of (earlier, later, path).
+    //   - unionBy:  for 'union', a key, path or function that says
+    //               when two items are the same. Those items are
+    //               merged. By default, items are compared whole.
+    //   - conflict: called as (earlier, later, key, path) whenever two
+    //               values meet that are not both plain objects or both
+    //               arrays: two scalars, or a scalar and an object, or
+    //               an array and an object. It returns the merged value,
+    //               or `undefined` to take the later one.
+    //
+    // g_.mergeWith({ arrays: 'union', unionBy: 'id' },
+    //     { users: [{ id: 1, name: 'ann' }] },
+    //     { users: [{ id: 1, admin: true }, { id: 2, name: 'bo' }] });
+    // => { users: [{ id: 1, name: 'ann', admin: true }, { id: 2, name: 'bo' }] }
+    var mergeWith = g_.mergeWith = function(strategy /*, objects */) {
+        var opts = mixin( { arrays: 'replace', unionBy: null, conflict: null },
+                          isFunction(strategy) ? { conflict: strategy } : strategy );
+
+        if ( !isFunction(opts.arrays) && !has(mergeStrategies, opts.arrays) ) {
+            throw new Error('mergeWith: unknown array strategy ' + opts.arrays);
+        }
+
+        // `merge` returns a new value and never reuses a plain object
+        // or array from its arguments, so the result can be changed
+        // without changing them. `a` is `undefined` when there is
+        // nothing to merge into yet, which makes `merge` a deep copy.
+        //
+        // A '__proto__' key--from a parsed JSON payload, say--would
+        // set the prototype of the new object rather than copy a
+        // value, so it is skipped. 'constructor' and 'prototype' are
+        // only ever set as own properties of new objects, so they are
+        // merged like any other data.
+        var merge = function(a, b, key, path) {
+            var result, resolved;
+
+            path = path || [];
+            if (b === undefined) return a;
+
+            if ( isPlainObject(b) && (a === undefined || isPlainObject(a)) ) {
+                result = {};
+                each([a || {}, b], function(obj) {
+                    each(keys(obj), function(k) {
+                        if (k === '__proto__') return;
+                        result[k] = merge( has(result, k) ? result[k] : undefined,
+                                           obj[k], k, path.concat([k]) );
+                    });
+                });
+                return result;
+            }
+
+            if ( isArray(b) && isArray(a) ) {
+                if ( isFunction(opts.arrays) ) return opts.arrays(a, b, path);
+                return mergeStrategies[opts.arrays](a, b, opts, function(x, y) {
+                    return merge(x, y, key, path);
+                });
+            }
+
+            if (opts.conflict && a !== undefined) {
+                resolved = opts.conflict(a, b, key, path);
+                if (resolved !== undefined) return resolved;
+            }
+
+            // The later value wins, copied if it is a plain object or
+            // an array.
+            if ( isPlainObject(b) ) return merge(undefined, b, key, path);
+            if ( isArray(b) ) return mergeStrategies.replace(null, b, opts, merge);
+            return b;
+        };
+
+        return reduce(tail(arguments), function(result, obj) {
+            return exists(obj) ? merge(result, obj) : result;
+        }, {});
+    };
+
+
+    // `mergeDeep` combines objects like `mixin`, but where two of them
+    // have plain objects under the same key it combines those too,
+    // rather than letting the later one replace the whole thing. Later
+    // arrays and other values still win, and `undefined` never
+    // overwrites anything. Nothing passed in is changed, and
+    // '__proto__' keys are left out.
+    //
+    // g_.mergeDeep({ db: { host: 'localhost', port: 5432 } },
+    //              { db: { host: 'db.example.com' } });
+    // => { db: { host: 'db.example.com', port: 5432 } }
+    var mergeDeep = g_.mergeDeep = function(/* objects */) {
+        return mergeWith.apply( null, [{}].concat( toArray(arguments) ) );
+    };
+
+
+    // `has` is a convenience wrapper for `hasOwnProperty`. Now the
+    // built-in behavior of `has` can be passed around as a first-
+    // class function.
+    //
+    // It borrows `hasOwnProperty` from `Object.prototype` rather than
+    // calling it on `obj`, which may not inherit it (see
+    // `Object.create(null)`) or may have overridden it.
+    //
+    // Persistent collections answer for themselves.
+    var has = g_.has = function(obj, key) {
+        if ( isPersistent(obj) ) return obj.has(key);
+        return Object.prototype.hasOwnProperty.call(obj, key);
+    };
+
+
+/* Predicates
+ *
+ * @Fogus: 'Functions that always return a Boolean value are called
+ * "predicates."'
+ * --------------------------------------------------------------- */
+
+
+    // `exists` is a boolean function that returns whether an
+    // element exists (is neither `undefined` nor `null`). Loose
+    // equality makes this a one-liner.
+    var exists = g_.exists = function(val) {
+        return val != null;
+    };
+
+
+    // `isTruthy` returns true if the value exists and is not false.
+    // Note that it does not return truthy in the JavaScript sense of
+    // of the word (e.g. 0 will return true).
+    var isTruthy = g_.isTruthy = function(val) {
+        return val !== false && exists(val);
+    };
+
+
+    var isFalsy = g_.isFalsy = function(val) {
+        return !isTruthy(val);
+    };
+
+
+    // `tagOf` is private. `Object.prototype.toString` reports the
+    // built-in type of a value, e.g. '[object Date]', and unlike
+    // `instanceof` it gives the same answer for values created in
+    // another frame.
+    var tagOf = function(val) {
+        return Object.prototype.toString.call(val);
+    };
+
+
+    // The type predicates below test a value's tag or `typeof`
+    // rather than using `instanceof`, so they hold for primitives,
+    // for objects without a prototype and for values made in another
+    // frame.
+    var isFunction = g_.isFunction = function(val) {
+        return typeof val === 'function';
+    };
+
+
+    // `isNumber` is true of any number, including `NaN` and
+    // `Infinity`, but not of strings that look like numbers: '',
+    // `null` and '12' are not numbers. See `isFiniteNumber`.
+    var isNumber = g_.isNumber = function(val) {
+        return typeof val === 'number' || tagOf(val) === '[object Number]';
+    };
+
+
+    var isFiniteNumber = g_.isFiniteNumber = function(val) {
+        return isNumber(val) && isFinite(val);
+    };
+
+
+    var isInteger = g_.isInteger = function(val) {
+        return isFiniteNumber(val) && val % 1 === 0;
+    };
+
+
+    // `isNaN` is true only of `NaN` itself. The global `isNaN`
+    // coerces its argument, so `isNaN('abc')` is true.
+    //
+    // The local name is not `isNaN`, so that the global one is never
+    // mistaken for it.
+    var isNotANumber = g_.isNaN = function(val) {
+        return isNumber(val) && +val !== +val;
+    };
+
+
+    var isString = g_.isString = function(val) {
+        return typeof val === 'string' || tagOf(val) === '[object String]';
+    };
+
+
+    var isBoolean = g_.isBoolean = function(val) {
+        return val === true || val === false || tagOf(val) === '[object Boolean]';
+    };
+
+
+    // `isNil` is the opposite of `exists`.
+    var isNil = g_.isNil = function(val) {
+        return val == null;
+    };
+
+
+    var isArray = g_.isArray = Array.isArray || function(val) {
+        return tagOf(val) === '[object Array]';
+    };
+
+
+    var isDate = g_.isDate = function(val) {
+        return tagOf(val) === '[object Date]';
+    };
+
+
+    var isRegExp = g_.isRegExp = function(val) {
+        return tagOf(val) === '[object RegExp]';
+    };
+
+
+    var isArguments = g_.isArguments = function(val) {
+        return tagOf(val) === '[object Arguments]';
+    };
+
+
+    var isTypedArray = g_.isTypedArray = function(val) {
+        return /^\[object (?:Float(?:32|64)|(?:Big)?(?:Int|Uint)(?:8|16|32|64)|Uint8Clamped)Array\]$/.test( tagOf(val) );
+    };
+
+
+    // `isPromise` is true of anything with a `then` method, which is
+    // how Promises recognize each other.
+    var isPromise = g_.isPromise = function(val) {
+        return isObject(val) && isFunction(val.then);
+    };
+
+
+    // `isObject` is true of anything that can have properties of its
+    // own: objects, arrays, functions, but not primitives or `null`.
+    var isObject = g_.isObject = function(val) {
+        var type = typeof val;
+        return val !== null && (type === 'object' || type === 'function');
+    };
+
+
+    // `isPlainObject` is true of objects made by `{}`, `new Object`
+    // or `Object.create(null)`, and not of class instances, arrays
+    // or other built-ins.
+    var isPlainObject = g_.isPlainObject = function(val) {
+        var proto;
+
+        if (tagOf(val) !== '[object Object]') return false;
+        proto = Object.getPrototypeOf(val);
+        return proto === null || Object.getPrototypeOf(proto) === null;
+    };
+
+
+    // `isArrayLike` is true of arrays, strings (both primitives and
+    // objects), `arguments` and typed arrays, by tag, and of other
+    // objects with a non-negative integer `length` whose last index
+    // is really there, as Underscore.js checks: NodeLists, say, or
+    // `{ 0: 'a', length: 1 }`. A record that merely has a `length`
+    // field, such as `{ title: 'Song', length: 3 }`, is not.
+    // Functions have a `length` too, but it is their arity.
+    var isArrayLike = g_.isArrayLike = function(val) {
+        var tag, length;
+
+        if (typeof val === 'string') return true;
+        if (val == null || typeof val !== 'object') return false;
+
+        tag = tagOf(val);
+        if ( tag === '[object Array]' || tag === '[object Arguments]' ||
+             tag === '[object String]' || isTypedArray(val) ) return true;
+
+        length = val.length;
+        if ( !(typeof length === 'number' && length >= 0 && length % 1 === 0) ) return false;
+        if (tag === '[object Object]') return length > 0 && (length - 1) in val;
+        return length === 0 || (length - 1) in val;
+    };
+
+
+    // `isIndexed`, `isKeyed` and `isIterable` define the collection
+    // protocol used by `each`. An indexed collection is one that is
+    // array-like.
+    var isIndexed = g_.isIndexed = function(obj) {
+        return isArrayLike(obj);
+    };
+
+
+    // A keyed collection, for `each`'s purposes, is a Map or a
+    // persistent hash map. Plain objects are keyed too, but they are
+    // the fallback and need no test.
+    var isKeyed = g_.isKeyed = function(obj) {
+        return tagOf(obj) === '[object Map]' || isHashMap(obj);
+    };
+
+
+    var isIterable = g_.isIterable = function(obj) {
+        return !!iteratorSymbol &&
+               obj != null &&
+               typeof obj[iteratorSymbol] === 'function';
+    };
+
+
+    // `isSized` is private. Maps, Sets and persistent collections
+    // know their size, so `len` need not walk them.
+    var isSized = function(obj) {
+        return isKeyed(obj) || isVector(obj) || tagOf(obj) === '[object Set]';
+    };
+
+
+    // `deepEqual` is private. It does the work of `isEqual` and
+    // `isEqualWith`. `aStack` and `bStack` hold the objects being
+    // compared further up the recursion; meeting one of them again
+    // means the structures are cyclic, and they are equal if they
+    // cycle back to the same place.
+    var deepEqual = function(a, b, customizer, aStack, bStack, key) {
+        var result,
+            tag,
+            aCtor,
+            bCtor,
+            aKeys,
+            matched,
+            i;
+
+        if (customizer) {
+            result = customizer(a, b, key);
+            if (result !== undefined) return !!result;
+        }
+
+        // `NaN` is the only value not equal to itself. `0` and `-0`
+        // are equal by `===`, and stay that way.
+        if (a === b || (a !== a && b !== b)) return true;
+        if (a === null || b === null ||
+            typeof a !== 'object' || typeof b !== 'object') {
+            return false;
+        }
+
+        tag = tagOf(a);
+        if ( tag !== tagOf(b) ) return false;
+
+        switch (tag) {
+            case '[object Number]':
+            case '[object String]':
+            case '[object Boolean]':
+            case '[object Date]':
+                return deepEqual(a.valueOf(), b.valueOf());
+            case '[object RegExp]':
+                return String(a) === String(b);
+        }
+
+        i = aStack.length;
+        while (i--) {
+            if (aStack[i] === a) return bStack[i] === b;
+        }
+
+        // Objects made by different constructors are not equal, but
+        // `Object` itself may come from another frame. Built-ins such
+        // as arrays and Maps have already been told apart by tag, and
+        // their constructors may come from another frame too.
+        aCtor = a.constructor;
+        bCtor = b.constructor;
+        if (tag === '[object Object]' && aCtor !== bCtor &&
+            'constructor' in a && 'constructor' in b &&
+            !(isFunction(aCtor) && aCtor instanceof aCtor &&
+              isFunction(bCtor) && bCtor instanceof bCtor)) {
+            return false;
+        }
+
+        aStack.push(a);
+        bStack.push(b);
+        result = true;
+
+        if ( isVector(a) ) {
+            result = a.size === b.size && all(a, function(val, k) {
+                return deepEqual(val, b.get(k), customizer, aStack, bStack, k);
+            });
+        } else if ( isKeyed(a) ) {
+            result = a.size === b.size && all(a, function(val, k) {
+                return b.has(k) && deepEqual(val, b.get(k), customizer, aStack, bStack, k);
+            });
+        } else if (tag === '[object Set]') {
+            // Each item of `b` may stand in for only one item of `a`,
+            // or `[[1], [1]]` would equal `[[1], [2]]`.
+            matched = new Set();
+            result  = a.size === b.size && all(a, function(val) {
+                if ( b.has(val) && !matched.has(val) ) {
+                    matched.add(val);
+                    return true;
+                }
+                return any(b, function(other) {
+                    if ( matched.has(other) ||
+                         !deepEqual(val, other, customizer, aStack, bStack) ) return false;
+                    matched.add(other);
+                    return true;
+                });
+            });
+        } else if ( tag === '[object Array]' || tag === '[object Arguments]' || isTypedArray(a) ) {
+            result = a.length === b.length && all(a, function(val, k) {
+                return deepEqual(val, b[k], customizer, aStack, bStack, k);
+            });
+        } else {
+            aKeys  = Object.keys(a);
+            result = aKeys.length === Object.keys(b).length && all(aKeys, function(k) {
+                return has(b, k) && deepEqual(a[k], b[k], customizer, aStack, bStack, k);
+            });
+        }
+
+        aStack.pop();
+        bStack.pop();
+        return result;
+    };
+
+
+    // `isEqual` compares two values structurally. Arrays, typed
+    // arrays, plain objects, Maps and Sets are equal if their
+    // contents are; Dates and RegExps if they denote the same time or
+    // pattern. `NaN` equals `NaN`, and cyclic structures are handled.
+    var isEqual = g_.isEqual = function(x, y) {
+        return deepEqual(x, y, null, [], []);
+    };
+
+
+    // `isEqualWith` is `isEqual` with a `customizer`, which is called
+    // with each pair of values (and their key, below the top level)
+    // before they are compared. If it returns anything other than
+    // `undefined`, that decides whether the pair is equal.
+    var isEqualWith = g_.isEqualWith = function(x, y, customizer) {
+        return deepEqual(x, y, customizer, [], []);
+    };
+
+
+    var isGreaterThan = g_.isGreaterThan = function(x, y) {
+        return x > y;
+    };
+
+    var len = g_.len = function(coll) {
+        var size = 0;
+        // We should raise an exception if `coll` does not exist but 
+        // I do not have any other error handling, so we'll forgo
+        // this for now.
+
+        if ( isIndexed(coll) ) {
+            return coll.length;
+        }
+        if ( isSized(coll) ) {
+            return coll.size;
+        }
+        // Counting a lazy sequence or a generator means walking all
+        // of it.
+        if ( isSeq(coll) || isIterable(coll) ) {
+            each(coll, function() {
+                size++;
+            });
+            return size;
+        }
+        return keys(coll).length;
+    }
+
+    // Anything that cannot report its size is empty if `each` finds
+    // no first item; there is no need to count it. Note that this
+    // consumes the first item of a generator.
+    var isEmpty = g_.isEmpty = function(coll) {
+        var empty = true;
+
+        if ( isIndexed(coll) || isSized(coll) ||
+             !(isSeq(coll) || isIterable(coll)) ) {
+            return len(coll) === 0;
+        }
+        each(coll, function() {
+            empty = false;
+            return breaker;
+        });
+        return empty;
+    }
+
+
+/* Validation
+ *
+ * @Fogus: 'a validator... is a function that takes an object and
+ * returns a Boolean... [and] we can attach a message to it.'
+ *
+ * The predicates above say whether a value is acceptable but not
+ * why it was rejected. A validator is a predicate that carries a
+ * message. `checker` collects the messages of the validators a value
+ * fails; `condition` guards a function's arguments and result; and
+ * the schema combinators describe nested data and report each
+ * failure with its path.
+ * --------------------------------------------------------------- */
+
+
+    // `validator` attaches `message` to `pred`. The result is still a
+    // predicate and can go anywhere one can.
+    var validator = g_.validator = function(message, pred) {
+        var result = withLength(pred.length, function(/* args */) {
+            return pred.apply(this, arguments);
+        });
+
+        result.message = message;
+        return result;
+    };
+
+
+    // `failures` is private. It returns the messages of the
+    // validators that reject `args`.
+    var failures = function(validators, self, args) {
+        return map(not(validators, function(v) {
+            return v.apply(self, args);
+        }), function(v) {
+            return v.message;
+        });
+    };
+
+
+    // `checker` returns a function that runs a value through every
+    // validator and returns the messages of those that failed. An
+    // empty array means the value passed.
+    //
+    // var checkCommand = g_.checker(
+    //     g_.validator('must be a map', g_.isObject),
+    //     g_.validator('must have a type', function(cmd) {
+    //         return g_.exists(cmd.type);
+    //     }));
+    // checkCommand(42);
+    // => ['must be a map', 'must have a type']
+    var checker = g_.checker = function(/* validators */) {
+        var validators = toArray(arguments);
+
+        return function(/* args */) {
+            return failures(validators, this, arguments);
+        };
+    };
+
+
+    // `conditionError` is private. It builds the error `condition`
+    // throws, which lists every failure and keeps them in `errors`.
+    var conditionError = function(kind, errors) {
+        var err = new Error(kind + ' failed: ' + errors.join(', '));
+
+        err.errors = errors;
+        return err;
+    };
+
+
+    // `condition` returns a wrapper that guards a function with
+    // pre-conditions, which are validators called with its
+    // arguments, and post-conditions, which are validators called
+    // with its result. Either may be one validator or an array. If
+    // any fails, the wrapped function throws.
+    //
+    // var safeSqrt = g_.condition(
+    //     g_.validator('arg must be a number', g_.isNumber),
+    //     g_.validator('result must be finite', isFinite))(Math.sqrt);
+    var condition = g_.condition = function(pre, post) {
+        var pres  = exists(pre)  ? [].concat(pre)  : [],
+            posts = exists(post) ? [].concat(post) : [];
+
+        return function(func) {
+            return withLength(func.length, function(/* args */) {
+                var errors = failures(pres, this, arguments),
+                    result;
+
+                if (errors.length) throw conditionError('Precondition', errors);
+
+                result = func.apply(this, arguments);
+                errors = failures(posts, this, [result]);
+                if (errors.length) throw conditionError('Postcondition', errors);
+
+                return result;
+            });
+        };
+    };
+
+
+    // A schema is a function of `(value, path)` that returns a list
+    // of `{ path, message }` failures. `toSchema` is private; it lets
+    // a validator or a plain object stand wherever a schema can. A
+    // validator fails with its message, or with its name if it has
+    // none. A plain object is a `shape`.
+    var toSchema = function(spec) {
+        if (spec && spec.isSchema) return spec;
+        if ( isFunction(spec) ) {
+            return schema(function(val, path) {
+                if ( spec(val) ) return [];
+                return [{ path: path, message: spec.message || 'failed ' + (spec.name || 'validation') }];
+            });
+        }
+        return shape(spec);
+    };
+
+
+    var schema = function(check) {
+        check.isSchema = true;
+        return check;
+    };
+
+
+    var joinPath = function(path, key) {
+        if (typeof key === 'number') return path + '[' + key + ']';
+        return path ? path + '.' + key : key;
+    };
+
+
+    // `shape` describes an object by the schema of each of its keys.
+    // Keys the shape does not mention are allowed.
+    //
+    // var user = g_.shape({
+    //     name: g_.validator('must be a string', g_.isString),
+    //     tags: g_.arrayOf( g_.validator('must be a string', g_.isString) ),
+    //     address: {
+    //         zip: g_.optional( g_.validator('must be a number', g_.isNumber) )
+    //     }
+    // });
+    // g_.validate(user, { name: 'Ann', tags: ['a', 1], address: {} });
+    // => [{ path: 'tags[1]', message: 'must be a string' }]
+    var shape = g_.shape = function(spec) {
+        var schemas = {},
+            key;
+
+        for (key in spec) {
+            if ( has(spec, key) ) schemas[key] = toSchema(spec[key]);
         }
 
+        return schema(function(val, path) {
+            var errors = [],
+                k;
+
+            if (val === null || typeof val !== 'object') {
+                return [{ path: path, message: 'must be an object' }];
+            }
+            for (k in schemas) {
+                errors = errors.concat( schemas[k](val[k], joinPath(path, k)) );
+            }
+            return errors;
+        });
+    };
+
+
+    // `arrayOf` describes an array whose every item fits `spec`.
+    var arrayOf = g_.arrayOf = function(spec) {
+        var itemSchema = toSchema(spec);
+
+        return schema(function(val, path) {
+            var errors = [];
+
+            if ( !isArray(val) ) {
+                return [{ path: path, message: 'must be an array' }];
+            }
+            each(val, function(item, i) {
+                errors = errors.concat( itemSchema(item, joinPath(path, i)) );
+            });
+            return errors;
+        });
+    };
+
+
+    // `oneOf` accepts a value that fits any of its alternatives. An
+    // alternative that is not a function or a plain object is a
+    // literal, which the value must equal, so `oneOf` doubles as an
+    // enumeration: `g_.oneOf('asc', 'desc')`.
+    var oneOf = g_.oneOf = function(/* alternatives */) {
+        var alternatives = map(arguments, function(alt) {
+            if ( isFunction(alt) || isPlainObject(alt) ) {
+                return toSchema(alt);
+            }
+            return function(val) {
+                return isEqual(val, alt) ? [] : [null];
+            };
+        });
+
+        return schema(function(val, path) {
+            if ( any(alternatives, function(alt) { return alt(val, path).length === 0; }) ) {
+                return [];
+            }
+            return [{ path: path, message: 'did not match any allowed alternative' }];
+        });
+    };
+
+
+    // `optional` lets a value be missing (`undefined` or `null`) and
+    // otherwise checks it against `spec`.
+    var optional = g_.optional = function(spec) {
+        var inner = toSchema(spec);
+
+        return schema(function(val, path) {
+            return exists(val) ? inner(val, path) : [];
+        });
+    };
+
+
+    // `validate` checks `value` against a schema and returns every
+    // failure, each with the path to where it happened. The root of
+    // the value has the path ''.
+    var validate = g_.validate = function(spec, value) {
+        return toSchema(spec)(value, '');
+    };
+
+
+/* Maybe and Result
+ *
+ * `find`, `nth` and friends say 'nothing here' by returning
+ * `undefined`, so every step of a pipeline that follows them has to
+ * check. A Maybe makes the absence a value: it is either a Just,
+ * holding something, or Nothing. A Result (also known as an Either)
+ * is the same idea for failure: it is either an Ok, holding a value,
+ * or an Err, holding what went wrong.
+ *
+ * Both have the same methods:
+ *
+ *   - map(func):        apply `func` to the value, if there is one.
+ *   - chain(func):      the same, for a `func` that returns a Maybe
+ *                       (or Result) itself, which is not wrapped again.
+ *   - ap(other):        apply the function this holds to the value
+ *                       `other` holds.
+ *   - fold(none, some): call `none` for Nothing (with the error, for
+ *                       an Err) or `some` with the value, and return
+ *                       what it returns.
+ *   - getOrElse(dflt):  the value, or `dflt`.
+ *
+ * Nothing and Err ignore `map`, `chain` and `ap` and return
+ * themselves, so once a step has failed the rest are skipped.
+ * --------------------------------------------------------------- */
+
+
+    // `Just`, `Nothing`, `Ok` and `Err` are private constructors, like
+    // `Seq`. There is only one Nothing.
+    var Just = function(val) {
+        this.val = val;
+    };
+
+
+    Just.prototype.map = function(func) {
+        return new Just( func(this.val) );
+    };
+
+
+    Just.prototype.chain = function(func) {
+        return func(this.val);
+    };
+
+
+    Just.prototype.ap = function(other) {
+        return other.map(this.val);
+    };
+
+
+    Just.prototype.fold = function(onNothing, onJust) {
+        return onJust(this.val);
+    };
+
+
+    Just.prototype.getOrElse = function() {
+        return this.val;
+    };
+
+
+    Just.prototype.toString = function() {
+        return 'Just(' + this.val + ')';
+    };
+
+
+    var Nothing = function() {};
+
+
+    Nothing.prototype.map = Nothing.prototype.chain = Nothing.prototype.ap = function() {
+        return this;
+    };
+
+
+    Nothing.prototype.fold = function(onNothing) {
+        return onNothing();
+    };
+
+
+    Nothing.prototype.getOrElse = function(dflt) {
+        return dflt;
+    };
+
+
+    Nothing.prototype.toString = function() {
+        return 'Nothing';
+    };
+
+
+    var Ok = function(val) {
+        this.val = val;
+    };
+
+
+    Ok.prototype.map = function(func) {
+        return new Ok( func(this.val) );
+    };
+
+
+    Ok.prototype.mapErr = function() {
+        return this;
+    };
+
+
+    Ok.prototype.chain = Just.prototype.chain;
+    Ok.prototype.ap = Just.prototype.ap;
+    Ok.prototype.fold = Just.prototype.fold;
+    Ok.prototype.getOrElse = Just.prototype.getOrElse;
+
+
+    Ok.prototype.toString = function() {
+        return 'Ok(' + this.val + ')';
+    };
+
+
+    var Err = function(err) {
+        this.err = err;
+    };
+
+
+    Err.prototype.map = Err.prototype.chain = Err.prototype.ap = function() {
+        return this;
+    };
+
+
+    // `mapErr` is `map` for the error, which lets a step translate
+    // one kind of failure into another.
+    Err.prototype.mapErr = function(func) {
+        return new Err( func(this.err) );
+    };
+
+
+    Err.prototype.fold = function(onErr) {
+        return onErr(this.err);
+    };
+
+
+    Err.prototype.getOrElse = Nothing.prototype.getOrElse;
+
+
+    Err.prototype.toString = function() {
+        return 'Err(' + this.err + ')';
+    };
+
+
+    var just = g_.just = function(val) {
+        return new Just(val);
+    };
+
+
+    var nothing = g_.nothing = new Nothing();
+
+
+    var ok = g_.ok = function(val) {
+        return new Ok(val);
+    };
+
+
+    var err = g_.err = function(e) {
+        return new Err(e);
+    };
+
+
+    // `right` and `left` are `ok` and `err` under their Either names.
+    g_.right = ok;
+    g_.left  = err;
+
+
+    var isJust = g_.isJust = function(val) {
+        return val instanceof Just;
+    };
+
+
+    var isNothing = g_.isNothing = function(val) {
+        return val instanceof Nothing;
+    };
+
+
+    var isMaybe = g_.isMaybe = function(val) {
+        return isJust(val) || isNothing(val);
+    };
+
+
+    var isOk = g_.isOk = function(val) {
+        return val instanceof Ok;
+    };
+
+
+    var isErr = g_.isErr = function(val) {
+        return val instanceof Err;
+    };
+
+
+    var isResult = g_.isResult = function(val) {
+        return isOk(val) || isErr(val);
+    };
+
+
+    // `fromNullable` is Nothing for `undefined` and `null` and Just
+    // for anything else.
+    var fromNullable = g_.fromNullable = function(val) {
+        return exists(val) ? just(val) : nothing;
+    };
+
+
+    // `tryCatch` returns a function that calls `func` and returns Ok
+    // with its result, or Err with whatever it threw.
+    var tryCatch = g_.tryCatch = function(func) {
+        return withLength(func.length, function(/* args */) {
+            try {
+                return ok( func.apply(this, arguments) );
+            } catch (e) {
+                return err(e);
+            }
+        });
+    };
+
+
+    // `findMaybe`, `firstMaybe`, `nthMaybe` and `getMaybe` are `find`,
+    // `first`, `nth` and `get` returning a Maybe. Because they know
+    // whether they found something, a found `undefined` is a Just.
+    var findMaybe = g_.findMaybe = function(coll, pred) {
+        var result = nothing;
+
+        each(coll, function(item, key) {
+            if ( pred(item, key) ) {
+                result = just(item);
+                return breaker;
+            }
+        });
+
         return result;
     };
 
 
-    // `values` takes an associative array and returns array of 
-    // values.
-    var vals = g_.vals = function(coll) {
-        var result = [];
+    var firstMaybe = g_.firstMaybe = function(coll) {
+        return findMaybe( coll, constant(true) );
+    };
 
-        for (key in coll) {
-            result.push( coll[key] );
+
+    var nthMaybe = g_.nthMaybe = function(coll, index) {
+        if ( !isIndexed(coll) || index < 0 || index >= coll.length ) return nothing;
+        return just( coll[index] );
+    };
+
+
+    var getMaybe = g_.getMaybe = function(obj, path) {
+        return hasPath(obj, path) ? just( get(obj, path) ) : nothing;
+    };
+
+
+    // `pipelineSafe` is `pipeline` for steps that may fail. A step
+    // may return a plain value, a Maybe or a Result. A Just or Ok is
+    // unwrapped before it is passed to the next step; a Nothing or
+    // Err stops the pipeline and is returned as it is.
+    //
+    // g_.pipelineSafe(users,
+    //     function(us) { return g_.findMaybe(us, isAdmin); },
+    //     function(u)  { return g_.getMaybe(u, 'address.city'); });
+    // => Just('Paris'), or Nothing if either step found nothing
+    var pipelineSafe = g_.pipelineSafe = function(seed /*, args */) {
+        var funcs  = tail(arguments),
+            result = seed,
+            i      = 0;
+
+        for ( ; i < funcs.length; i++) {
+            if ( isNothing(result) || isErr(result) ) return result;
+            result = funcs[i]( isJust(result) || isOk(result) ? result.val : result );
         }
 
         return result;
     };
 
 
-    // `clone` creates a shallow copy of an array or associative
-    // array without mutating the input.
-    var clone = g_.clone = function(coll) {
-        if ( isArray(coll) )  return coll.slice(0);
-        if ( isObject(coll) ) return mixin({}, coll);
+/* Property-based testing
+ *
+ * An example-based test checks a function against the handful of
+ * inputs its author thought of. A property-based test states
+ * something that should be true for *every* input--"reversing twice
+ * gives back the list"--and `check` tries it against a hundred random
+ * ones. This is QuickCheck, from Haskell, in miniature.
+ *
+ * Inputs come from generators, in `g_.gen`. When `check` finds an
+ * input that fails, it shrinks it--shorter arrays, smaller numbers,
+ * earlier alternatives--until it has the smallest failing input it
+ * can find, which is usually far easier to read than the random one.
+ *
+ * Randomness comes from a seeded generator, so a failure can be
+ * replayed exactly by passing the seed it reports back to `check`.
+ * --------------------------------------------------------------- */
+
+
+    // `prng` is private. It returns a function that returns numbers
+    // in [0, 1), like `Math.random`, but always the same numbers for
+    // the same seed. It is Tommy Ettinger's Mulberry32.
+    var prng = function(seed) {
+        var a = seed >>> 0;
+
+        return function() {
+            var t;
+            a = (a + 0x6D2B79F5) | 0;
+            t = Math.imul(a ^ (a >>> 15), 1 | a);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     };
 
 
-    // `mixin` combines the properties of the objects applied without
-    // mutating them. It returns a new object.
-    var mixin = g_.mixin = function(/* args */) {
-        var result = {},
-            prop,
-            args = toArray(arguments);
+    var randomSeed = function() {
+        return Math.floor( Math.random() * 4294967296 );
+    };
 
-        each(args, function(obj) {
-            for (prop in obj) {
-                result[prop] = obj[prop];
+
+    var randomInt = function(rand, min, max) {
+        return min + Math.floor( rand() * (max - min + 1) );
+    };
+
+
+    // `rose` is private. A generator does not produce a bare value but
+    // a rose tree: the value, and a function returning trees for each
+    // way to make it smaller. Shrinking walks down this tree. Because
+    // `map` and `chain` transform whole trees, a generator built from
+    // others shrinks for free.
+    var rose = function(value, shrinks) {
+        return { value: value, shrinks: shrinks || constant([]) };
+    };
+
+
+    var mapRose = function(func, tree) {
+        return rose( func(tree.value), function() {
+            return map(tree.shrinks(), function(child) {
+                return mapRose(func, child);
+            });
+        });
+    };
+
+
+    var filterRose = function(pred, tree) {
+        return rose(tree.value, function() {
+            return map( filter(tree.shrinks(), function(child) {
+                return pred(child.value);
+            }), function(child) {
+                return filterRose(pred, child);
+            });
+        });
+    };
+
+
+    // `intRose` shrinks `n` towards `target`: first to the target
+    // itself, then to halfway, a quarter of the way, &c.
+    var intRose = function(n, target) {
+        return rose(n, function() {
+            var result = [],
+                diff   = n - target;
+
+            while (diff !== 0) {
+                result.push( intRose(n - diff, target) );
+                diff = (diff / 2) | 0;
             }
+
+            return result;
         });
+    };
 
-        return result;
+
+    // `listRose` shrinks a list of trees by removing runs of items--
+    // all it may lose, then half as many, &c.--and then by shrinking
+    // the items one at a time. It never goes below `minLength` items.
+    var listRose = function(trees, minLength) {
+        return rose(map(trees, function(tree) { return tree.value; }), function() {
+            var result = [],
+                n      = trees.length,
+                k, i;
+
+            for (k = n - minLength; k > 0; k = (k / 2) | 0) {
+                for (i = 0; i + k <= n; i += k) {
+                    result.push( listRose(trees.slice(0, i).concat( trees.slice(i + k) ), minLength) );
+                }
+            }
+
+            each(trees, function(tree, i) {
+                each(tree.shrinks(), function(child) {
+                    var copy = trees.slice(0);
+                    copy[i] = child;
+                    result.push( listRose(copy, minLength) );
+                });
+            });
+
+            return result;
+        });
     };
 
 
-    // `legacyExtend`--now `mixin`--extends the `result` object with
-    // the properties with the object(s) applied. @Fogus, 'The
-    // problem of course is that _.extend mutates the first object
-    // in its argument list.' See `mixin` for a purely functional
-    // implementation.
-    var legacyExtend = function(result /*, args */) {
-        var prop,
-            args = g_.tail(arguments);
+    // `Gen` is a private constructor. `run(rand, size)` returns a rose
+    // tree. `size` grows over the course of a `check`, so the first
+    // inputs tried are small and later ones larger.
+    var Gen = function(run) {
+        this.run = run;
+    };
 
-        each(args, function(obj) {
-            for (prop in obj) {
-                result[prop] = obj[prop];
+
+    // `map` makes a generator of `func` applied to this one's values.
+    Gen.prototype.map = function(func) {
+        var self = this;
+        return new Gen(function(rand, size) {
+            return mapRose( func, self.run(rand, size) );
+        });
+    };
+
+
+    // `chain` makes a generator whose values come from the generator
+    // that `func` returns for each of this one's values:
+    //
+    // g_.gen.int(1, 5).chain(function(n) {
+    //     return g_.gen.array(g_.gen.int(), {minLength: n, maxLength: n});
+    // });
+    //
+    // The second generator is always run with the same seed, so that
+    // shrinking the first value can rebuild the second.
+    Gen.prototype.chain = function(func) {
+        var self = this;
+        return new Gen(function(rand, size) {
+            var seed = randomInt(rand, 0, 4294967295),
+                bind = function(tree) {
+                    var inner = func(tree.value).run(prng(seed), size);
+                    return rose(inner.value, function() {
+                        return map(tree.shrinks(), bind).concat( inner.shrinks() );
+                    });
+                };
+
+            return bind( self.run(rand, size) );
+        });
+    };
+
+
+    // `filter` keeps only the values that pass `pred`. It gives up
+    // after a hundred misses in a row, since a predicate that almost
+    // nothing passes is better written as a generator.
+    Gen.prototype.filter = function(pred) {
+        var self = this;
+        return new Gen(function(rand, size) {
+            var tries = 0,
+                tree;
+
+            for ( ; tries < 100; tries++) {
+                tree = self.run(rand, size);
+                if ( pred(tree.value) ) return filterRose(pred, tree);
             }
+
+            throw new Error('gen.filter: no value passed after 100 tries');
         });
+    };
+
+
+    // `sample` returns `n` values, to see what a generator makes.
+    Gen.prototype.sample = function(n, seed) {
+        var rand   = prng( exists(seed) ? seed : randomSeed() ),
+            result = [],
+            i      = 0;
+
+        n = exists(n) ? n : 10;
+        for ( ; i < n; i++) {
+            result.push( this.run(rand, Math.min(100, i * 10 + 1)).value );
+        }
 
         return result;
     };
 
 
-    // `has` is a convenience wrapper for `hasOwnProperty`. Now the
-    // built-in behavior of `has` can be passed around as a first-
-    // class function.
-    var has = g_.has = function(obj, key) {
-        return obj.hasOwnProperty(key);
+    var gen = g_.gen = {};
+
+
+    var isGen = gen.isGen = function(val) {
+        return val instanceof Gen;
     };
 
 
-/* Predicates
- *
- * @Fogus: 'Functions that always return a Boolean value are called
- * "predicates."'
- * --------------------------------------------------------------- */
+    var toGen = function(val) {
+        return isGen(val) ? val : gen.constant(val);
+    };
 
 
-    // `exists` is a boolean function that returns whether an
-    // element exists (is neither `undefined` nor `null`). Loose
-    // equality makes this a one-liner.
-    var exists = g_.exists = function(val) {
-        return val != null;
+    // `constant` always makes `val`.
+    gen.constant = function(val) {
+        return new Gen(function() {
+            return rose(val);
+        });
     };
 
 
-    // `isTruthy` returns true if the value exists and is not false.
-    // Note that it does not return truthy in the JavaScript sense of
-    // of the word (e.g. 0 will return true).
-    var isTruthy =  g_.isTruthy = function(val) {
-        return val !== false && g_.exists(val);
+    // `int` makes integers between `min` and `max`, inclusive. Without
+    // bounds they are between `-size` and `size`. They shrink towards
+    // zero, or the bound nearest it.
+    gen.int = function(min, max) {
+        return new Gen(function(rand, size) {
+            var lo = exists(min) ? min : -size,
+                hi = exists(max) ? max : Math.max(lo, size);
+
+            return intRose( randomInt(rand, lo, hi), Math.min( Math.max(0, lo), hi ) );
+        });
     };
 
 
-    var isFalsy = g_.isFalsy = function(val) {
-        return !g_.isTruthy(val);
+    // `oneOf` makes a value from one of its arguments, chosen at
+    // random. An argument that is not a generator stands for itself:
+    //
+    // g_.gen.oneOf('red', 'green', 'blue');
+    //
+    // It shrinks towards the first argument.
+    gen.oneOf = function(/* args */) {
+        var gens = map(arguments, toGen);
+        return gen.int(0, gens.length - 1).chain(function(i) {
+            return gens[i];
+        });
     };
 
 
-    var isFunction = g_.isFunction = function(val) {
-        return typeof val === 'function';
+    // `frequency` is `oneOf` with weights:
+    //
+    // g_.gen.frequency([[9, g_.gen.int()], [1, g_.gen.constant(null)]]);
+    gen.frequency = function(pairs) {
+        var total = reduce(pairs, function(sum, pair) {
+            return sum + pair[0];
+        }, 0);
+
+        return gen.int(0, total - 1).chain(function(n) {
+            return toGen( find(pairs, function(pair) {
+                n -= pair[0];
+                return n < 0;
+            })[1] );
+        });
     };
 
 
-    var isNumber = g_.isNumber = function(val) {
-        return !isNaN(val);
+    gen.bool = function() {
+        return gen.oneOf(false, true);
     };
 
 
-    var isString = g_.isString = function(obj) {
-        return obj instanceof String;
+    // `array` makes arrays of `elem`'s values. Without `maxLength`,
+    // they are at most `size` long.
+    gen.array = function(elem, options) {
+        var opts = mixin({ minLength: 0, maxLength: null }, options);
+
+        return new Gen(function(rand, size) {
+            var hi    = exists(opts.maxLength) ? opts.maxLength : Math.max(opts.minLength, size),
+                n     = randomInt(rand, opts.minLength, hi),
+                trees = [],
+                i     = 0;
+
+            for ( ; i < n; i++) {
+                trees.push( elem.run(rand, size) );
+            }
+
+            return listRose(trees, opts.minLength);
+        });
     };
 
 
-    var isArray = g_.isArray = function(obj) {
-        return obj instanceof Array;
+    // `tuple` makes arrays with one value from each generator.
+    gen.tuple = function(/* args */) {
+        var gens = map(arguments, toGen);
+        return new Gen(function(rand, size) {
+            return listRose(map(gens, function(g) {
+                return g.run(rand, size);
+            }), gens.length);
+        });
     };
 
 
-    var isIndexed = g_.isIndexed = function(obj) {
-        return isArray(obj) || isString(obj);
+    // `string` makes strings of characters from `chars`, which by
+    // default is printable ASCII. They shrink towards fewer and
+    // earlier characters.
+    gen.string = function(options) {
+        var opts  = mixin({ chars: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 !"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~' }, options),
+            chars = opts.chars;
+
+        return gen.array( gen.int(0, chars.length - 1), opts ).map(function(indices) {
+            return map(indices, function(i) {
+                return chars.charAt(i);
+            }).join('');
+        });
     };
 
 
-    var isObject = g_.isObject = function(obj) {
-        return obj instanceof Object;
+    // `object` makes objects shaped like `shape`, a plain object of
+    // generators (or constant values):
+    //
+    // g_.gen.object({ name: g_.gen.string(), age: g_.gen.int(0, 120) });
+    gen.object = function(shape) {
+        var ks = keys(shape);
+        return gen.tuple.apply(null, map(ks, function(key) {
+            return shape[key];
+        })).map(function(values) {
+            return zipObject(ks, values);
+        });
     };
 
 
-    var isEqual = g_.isEqual = function(x, y) {
-        return x === y;
+    // `dict` makes objects with random keys, from `key` (by default,
+    // short strings), and values from `value`.
+    gen.dict = function(value, key) {
+        return gen.array( gen.tuple(key || gen.string({ maxLength: 8 }), value) ).map(function(pairs) {
+            return reduce(pairs, function(obj, pair) {
+                obj[pair[0]] = pair[1];
+                return obj;
+            }, {});
+        });
     };
 
 
-    var isGreaterThan = g_.isGreaterThan = function(x, y) {
-        return x > y;
+    // `recursive` makes nested structures. `base` makes the leaves;
+    // `extend` takes a generator of smaller structures and returns one
+    // of bigger ones. The size halves at each level, so the nesting
+    // ends:
+    //
+    // var json = g_.gen.recursive(g_.gen.int(), function(inner) {
+    //     return g_.gen.array(inner);
+    // });
+    gen.recursive = function(base, extend) {
+        var rec = new Gen(function(rand, size) {
+            if (size <= 1) return base.run(rand, size);
+            return gen.oneOf( base, extend(smaller) ).run( rand, (size / 2) | 0 );
+        });
+
+        var smaller = new Gen(function(rand, size) {
+            return rec.run(rand, size);
+        });
+
+        return rec;
     };
 
-    var len = g_.len = function(coll) {
-        var size = 0,
-            key;
-        // We should raise an exception if `coll` does not exist but 
-        // I do not have any other error handling, so we'll forgo
-        // this for now.
 
-        if (isArray(coll) || isString(coll)) {
-            return coll.length;
+    // `forAll` makes a property: `pred` should hold for every
+    // combination of values from the generators. `pred` fails by
+    // returning `false` or by throwing.
+    //
+    // var reverseTwice = g_.forAll(g_.gen.array(g_.gen.int()), function(xs) {
+    //     return g_.isEqual(xs.slice().reverse().reverse(), xs);
+    // });
+    var forAll = g_.forAll = function(/* args, pred */) {
+        return {
+            gen:  gen.tuple.apply( null, initial(arguments) ),
+            pred: last(arguments)
+        };
+    };
+
+
+    // `show` is private. It is how `check` writes a counterexample.
+    var show = function(val) {
+        try {
+            return JSON.stringify(val);
+        } catch (e) {
+            return String(val);
         }
-        for (key in coll) {
-            size++;
+    };
+
+
+    // `check` tries `property` against `runs` inputs and returns a
+    // report. If an input fails, the report has the shrunk
+    // `counterexample` (an array of arguments), the `original` one,
+    // the number of `shrinks` and the `error`, if `pred` threw. Pass
+    // `seed` to replay a run.
+    //
+    // g_.check(g_.forAll(g_.gen.int(), function(n) { return n < 50; }));
+    // => { ok: false, counterexample: [50], shrinks: 5, seed: ..., ... }
+    var check = g_.check = function(property, options) {
+        var opts  = mixin({ runs: 100, seed: randomSeed(), maxSize: 100, maxShrinks: 1000 }, options),
+            rand  = prng(opts.seed),
+            error = null,
+            i     = 0,
+            tree, original, shrinks, next;
+
+        var fails = function(args) {
+            try {
+                if ( property.pred.apply(null, args) !== false ) return false;
+                error = null;
+            } catch (e) {
+                error = e;
+            }
+            return true;
+        };
+
+        for ( ; i < opts.runs; i++) {
+            tree = property.gen.run( rand, Math.floor(i * opts.maxSize / opts.runs) + 1 );
+            if ( fails(tree.value) ) break;
         }
-        return size;
-    }
 
-    var isEmpty = g_.isEmpty = function(coll) {
-        return len(coll) === 0;
-    }
+        if (i === opts.runs) {
+            return { ok: true, runs: i, seed: opts.seed };
+        }
+
+        original = tree.value;
+        for (shrinks = 0; shrinks < opts.maxShrinks; shrinks++) {
+            next = find(tree.shrinks(), function(child) {
+                return fails(child.value);
+            });
+            if (!next) break;
+            tree = next;
+        }
+
+        // The last call to `fails` may have been a passing candidate,
+        // so run the counterexample once more for its error.
+        fails(tree.value);
+
+        return {
+            ok:             false,
+            runs:           i + 1,
+            seed:           opts.seed,
+            original:       original,
+            counterexample: tree.value,
+            shrinks:        shrinks,
+            error:          error,
+            message:        'Failed after ' + (i + 1) + ' runs and ' + shrinks + ' shrinks (seed ' + opts.seed + '): ' +
+                            show(tree.value) + (error ? ' threw ' + error : '')
+        };
+    };
+
+
+/* Statistics
+ *
+ * Each of these takes a collection and, optionally, a key, as for
+ * `groupBy`, so that they work as well on records as on numbers:
+ *
+ * g_.mean(orders, 'total');
+ *
+ * Values that are not numbers--`null`, `undefined`, `NaN`--are left
+ * out, as a spreadsheet leaves out empty cells. Where there is
+ * nothing to compute, the answer is `NaN`.
+ * --------------------------------------------------------------- */
+
+
+    // `numbersOf` is private. It collects the values to compute on.
+    var numbersOf = function(coll, key) {
+        var func = keyFn(key);
+
+        return reduce(coll, function(result, item, k) {
+            var val = func(item, k);
+            if ( isNumber(val) && !isNotANumber(val) ) result.push(val);
+            return result;
+        }, []);
+    };
+
+
+    // `sum` adds in the error that each addition rounds away, and adds
+    // it back at the end (Neumaier's improvement on Kahan summation),
+    // so that adding many small numbers to a large one loses nothing:
+    //
+    // g_.sum([1e100, 1, -1e100]);
+    // => 1, where a plain loop gives 0
+    var sum = g_.sum = function(coll, key) {
+        var acc = reduce(numbersOf(coll, key), function(acc, x) {
+            var t = acc.sum + x;
+
+            acc.err += Math.abs(acc.sum) >= Math.abs(x) ? (acc.sum - t) + x : (x - t) + acc.sum;
+            acc.sum  = t;
+            return acc;
+        }, { sum: 0, err: 0 });
+
+        return acc.sum + acc.err;
+    };
+
+
+    // `welford` is private. It walks the numbers once, keeping the
+    // count, the mean and the sum of squared differences from the
+    // mean (B. P. Welford, 1962). Unlike summing `x` and `x * x` and
+    // subtracting at the end, it does not lose everything to rounding
+    // when the numbers are large and close together.
+    var welford = function(coll, key) {
+        return reduce(numbersOf(coll, key), function(acc, x) {
+            var delta = x - acc.mean;
+
+            acc.n    += 1;
+            acc.mean += delta / acc.n;
+            acc.m2   += delta * (x - acc.mean);
+            return acc;
+        }, { n: 0, mean: 0, m2: 0 });
+    };
+
+
+    var mean = g_.mean = function(coll, key) {
+        var acc = welford(coll, key);
+        return acc.n ? acc.mean : NaN;
+    };
+
+
+    // `variance` is the sample variance, which divides by one less
+    // than the count. Pass `{ population: true }` to divide by the
+    // count, when `coll` is everything rather than a sample of it.
+    // `stddev` is its square root.
+    var variance = g_.variance = function(coll, key, options) {
+        var acc = welford(coll, key),
+            n   = options && options.population ? acc.n : acc.n - 1;
+
+        return n > 0 ? acc.m2 / n : NaN;
+    };
+
+
+    var stddev = g_.stddev = function(coll, key, options) {
+        return Math.sqrt( variance(coll, key, options) );
+    };
+
+
+    // `quantile` returns the value below which the fraction `p` of the
+    // values fall, interpolating between the two nearest when it falls
+    // between them (as R's default and Excel's PERCENTILE do). `p` may
+    // be an array of fractions, for several at once.
+    //
+    // g_.quantile([1, 2, 3, 4], [0.25, 0.5]);
+    // => [1.75, 2.5]
+    var quantile = g_.quantile = function(coll, p, key) {
+        var sorted = numbersOf(coll, key).sort(function(a, b) { return a - b; });
+
+        var at = function(p) {
+            var h  = (sorted.length - 1) * p,
+                lo = Math.floor(h);
+
+            if ( !(p >= 0 && p <= 1) ) {
+                throw new RangeError('Quantile ' + p + ' is not between 0 and 1.');
+            }
+            if (!sorted.length) return NaN;
+            if (lo === sorted.length - 1) return sorted[lo];
+            return sorted[lo] + (h - lo) * (sorted[lo + 1] - sorted[lo]);
+        };
+
+        return isArray(p) ? map(p, unary(at)) : at(p);
+    };
+
+
+    var median = g_.median = function(coll, key) {
+        return quantile(coll, 0.5, key);
+    };
+
+
+    // `mode` returns the most common value. Of values that are equally
+    // common, the first to be seen wins. It counts any values, not
+    // just numbers, and compares them as a `Map` does: 1 and '1' are
+    // different. An empty collection gives `undefined`.
+    var mode = g_.mode = function(coll, key) {
+        var func   = keyFn(key),
+            counts = new Map(),
+            best   = 0,
+            result;
+
+        each(coll, function(item, k) {
+            var val = func(item, k),
+                n   = (counts.get(val) || 0) + 1;
+
+            counts.set(val, n);
+            if (n > best) {
+                best   = n;
+                result = val;
+            }
+        });
+
+        return result;
+    };
+
+
+    // `extent` returns the smallest and largest values at once.
+    var extent = g_.extent = function(coll, key) {
+        var values = numbersOf(coll, key);
+
+        if (!values.length) return [NaN, NaN];
+        return reduce(values, function(acc, x) {
+            return [ Math.min(acc[0], x), Math.max(acc[1], x) ];
+        }, [values[0], values[0]]);
+    };
+
+
+    // `histogram` counts the values into bins of equal width. Options:
+    //
+    //   - bins:   how many. By default, Sturges's rule: one more than
+    //             the log, base two, of the count. A domain with no
+    //             width gets one bin.
+    //   - domain: the [lo, hi] the bins cover. Defaults to the
+    //             `extent`; values outside it are left out.
+    //   - key:    as for the other functions here.
+    //
+    // Each bin is `{ x0, x1, count, values }` and holds the values with
+    // x0 <= value < x1, except the last, which includes `hi` too.
+    //
+    // g_.histogram([1, 2, 2, 3, 9], { bins: 2, domain: [0, 10] });
+    // => [{ x0: 0, x1: 5, count: 4, values: [1, 2, 2, 3] },
+    //     { x0: 5, x1: 10, count: 1, values: [9] }]
+    var histogram = g_.histogram = function(coll, options) {
+        var opts   = mixin({ bins: null, domain: null, key: null }, options),
+            values = numbersOf(coll, opts.key),
+            domain = opts.domain || extent(values),
+            lo     = domain[0],
+            hi     = domain[1],
+            n      = hi === lo ? 1 : opts.bins || Math.ceil( Math.log(values.length || 1) / Math.LN2 ) + 1,
+            width  = (hi - lo) / n,
+            bins   = [],
+            i      = 0;
+
+        if ( !values.length && !opts.domain ) return [];
+
+        for ( ; i < n; i++) {
+            bins.push({ x0: lo + i * width, x1: i === n - 1 ? hi : lo + (i + 1) * width, count: 0, values: [] });
+        }
+
+        each(values, function(x) {
+            var bin;
+
+            if (x < lo || x > hi) return;
+            bin = width ? Math.min( Math.floor((x - lo) / width), n - 1 ) : 0;
+            bins[bin].count += 1;
+            bins[bin].values.push(x);
+        });
+
+        return bins;
+    };
+
+
+    // `noConflict` gives the global `g_` back to whatever held it
+    // before this library loaded and returns the library, to be kept
+    // under another name:
+    //
+    // var gu = g_.noConflict();
+    var noConflict = g_.noConflict = function() {
+        if (root && root.g_ === g_) root.g_ = previousG_;
+        return g_;
+    };
+
+
+    return g_;
 
 
-})();
+});